@@ -1,8 +1,18 @@
 // RNG.js - simple Pokédex RNG simulator
-// Minimal, dependency-free script. Uses PokéAPI (https://pokeapi.co/) to fetch basic data.
+// Minimal, dependency-free script. Uses PokéAPI (https://pokeapi.co/) to fetch basic data,
+// through the cached data layer in pokedata.js. Game rules live in engine.js.
 
-const API_BASE = 'https://pokeapi.co/api/v2';
-const STORAGE_KEY = 'pokedex_v1';
+const STORAGE_KEY = 'pokedex_v1'; // legacy (unversioned) save, migrated into SAVE_KEY
+const SAVE_KEY = 'pokemonrng_save';
+const HISTORY_KEY = 'pokemonrng_history';
+const PROFILES_KEY = 'pokemonrng_profiles';
+const DAILY_KEY = 'pokemonrng_daily'; // shared by every profile: one attempt per day
+const DAILY_KEEP = 30; // days of daily runs kept
+const PREFS_KEY = 'pokemonrng_prefs'; // device settings, shared by every profile
+const DEFAULT_PROFILE = 'default';
+const HISTORY_LIMIT = 5000; // oldest events are dropped beyond this
+const SAVE_FORMAT = 'pokemonrng-save';
+const SAVE_VERSION = 8;
 
 // UI elements
 const el = id => document.getElementById(id);
@@ -13,6 +23,7 @@ const btnRun = el('btn-run');
 const btnExport = el('btn-export');
 const btnImport = el('btn-import');
 const btnReset = el('btn-reset');
+const btnSnapshots = el('btn-snapshots');
 const pokeImage = el('poke-image');
 const pokeName = el('poke-name');
 const pokeId = el('poke-id');
@@ -30,91 +41,355 @@ const toastEl = el('toast');
 const modal = el('modal');
 const modalBody = el('modal-body');
 const modalClose = el('modal-close');
-const typeFilter = el('type-filter');
+const modalContent = modal.querySelector('.modal-content');
+const srStatusEl = el('sr-status');
+const dexFiltersEl = el('dex-filters');
+const dexResultCountEl = el('dex-result-count');
 const ballSelect = el('ball-select');
 const ballInventoryEl = el('ball-inventory');
 const pokeballEl = el('pokeball');
-const countPokeballEl = el('count-pokeball');
-const countGreatEl = el('count-greatball');
-const countUltraEl = el('count-ultraball');
+const btnStats = el('btn-stats');
+const btnDaily = el('btn-daily');
+const btnSettings = el('btn-settings');
+const moneyEl = el('money');
+const martEl = el('mart');
+const regionSelectEl = el('region-select');
+const regionSummaryEl = el('region-summary');
+const regionProgressEl = el('region-progress');
+const seedValueEl = el('seed-value');
+const btnSeedLink = el('btn-seed-link');
+const btnSessionExport = el('btn-session-export');
+const btnSessionReplay = el('btn-session-replay');
+const profileNameEl = el('profile-name');
+const profilePanelEl = el('profile-panel');
 
 let pokedex = {}; // {id: {id,name,caught,types,is_legendary}}
 // use -1 for infinite pokeballs
-let inventory = { pokeball:-1, greatball:2, ultraball:1 };
+let inventory = { ...DEFAULT_INVENTORY };
 let captureCounter = 0; // total unique captures (used for granting bonuses)
-let currentEncounter = null;
-let allCount = 151;
+let money = 0; // Pokédollars earned from captures, spent at the PokéMart
+let activeRegions = REGIONS.map(r=>r.id);
+let speciesPool = regionPool(activeRegions); // sorted dex ids of the active regions
+let hunt = { target:null, name:null, chain:0, best:0 }; // shiny hunt: target species + encounter chain
+let unlocks = []; // permanently unlocked odds modifiers (e.g. 'shiny-charm')
+let achievementState = { unlocked:{}, milestones:{}, streak:0, bestStreak:0 };
+let encountered = {}; // { dex id: times met in the wild }; unlike the event log it is never trimmed
+let typeRosters = {}; // { fire: [dex ids] } for the "catch all X types" achievements
+let candy = {}; // { family root dex id: candies } earned from duplicate captures, spent on evolutions (see candyFamily)
+let battleLead = null; // dex id of the Pokémon that battles wild ones (see currentLead)
+let typeChart = {}; // see buildTypeChart; empty until the type data has loaded
+let typesLoading = Promise.resolve(); // loadTypeRosters; replays wait for it so they see the same chart
+let habitatsLoading = Promise.resolve(); // loadHabitats; replays wait for it so they roll with the same weights
 let page = 1;
-let isProcessing = false; // prevents double actions while resolving capture/flee
-let isFetchingEncounter = false; // prevents concurrent encounter fetches
-let _processingTimer = null;
-function startProcessing(){
-  isProcessing = true;
-  if(_processingTimer) clearTimeout(_processingTimer);
-  _processingTimer = setTimeout(()=>{
-    console.warn('watchdog: clearing isProcessing due to timeout');
-    isProcessing = false;
-    _processingTimer = null;
-  }, 6000);
-}
-function stopProcessing(){
-  isProcessing = false;
-  if(_processingTimer){ clearTimeout(_processingTimer); _processingTimer = null; }
+let encounterState = 'idle'; // see ENCOUNTER_TRANSITIONS
+let encounters = []; // wild Pokémon on screen (more than one in a horde)
+let selectedEncounter = 0; // index of the throw target in `encounters`
+let encounterQueue = []; // encounter requests made while the screen was busy
+let profiles = { active: DEFAULT_PROFILE, list: [{ id: DEFAULT_PROFILE, name: '' }] }; // see loadProfiles
+
+function captureParams(encounter, ball, ctx = encounterContext(encounter)){
+  return captureParamsFor({ encounter, ball, ctx, owned: pokedex[encounter.id] && pokedex[encounter.id].caught });
+}
+
+function ballName(id){ return BALLS[id] ? tr(`ball.${id}`) : id; }
+function ballInfo(id){ return tr(`ball.${id}.info`); }
+
+function encounterContext(encounter){
+  const now = new Date();
+  return { elapsedMs: Date.now() - (encounter.appearedAt || Date.now()), hour: now.getHours(), types: encounter.types || [], weather: weatherAt(now.getTime()), habitat: encounter.habitat || null };
+}
+
+function shinyRolls(){ return shinyRollsFor({ chain: hunt.target ? hunt.chain : 0, unlocks }); }
+
+let rng = createRng(new URLSearchParams(location.search).get('seed') || randomSeed());
+let session = null; // { seed, startedAt, regions, start, actions }
+let replay = null; // { stash, expected, worlds, autoCounts } while a session file is being replayed
+
+function startSession(){
+  session = {
+    seed: rng.seed,
+    startedAt: (new Date()).toISOString(),
+    regions: activeRegions.slice(),
+    // starting state matters: capture chance depends on what is already caught
+    start: JSON.parse(JSON.stringify({ pokedex, inventory, captureCounter, money, hunt, unlocks, achievements: achievementState, candy, encountered })),
+    actions: []
+  };
+  if(seedValueEl) seedValueEl.textContent = rng.seed;
+}
+
+// player actions are recorded with the roll index they started at
+function logAction(type, extra){
+  if(!session) return;
+  session.actions.push({ type, at: rng.rolls.length, ...extra });
 }
 
 async function init(){
-  // load stored
-  const raw = localStorage.getItem(STORAGE_KEY);
-  if(raw){
-    try{ pokedex = JSON.parse(raw); }catch(e){ pokedex = {}; }
-  }
+  applyI18n();
+  applyPrefs();
+  // follow system changes while the player has not picked a setting
+  if(reducedMotionQuery && reducedMotionQuery.addEventListener) reducedMotionQuery.addEventListener('change', applyPrefs);
+  renderLocaleSelect();
+  loadProfiles();
+  renderProfiles();
+  loadSave();
+  loadHistory();
 
-  // try to get total (use 151 by default for Gen 1)
-  try{
-    const res = await fetch(`${API_BASE}/pokemon?limit=1`);
-    const data = await res.json();
-    if(data.count) allCount = Math.min(data.count, 1008); // clamp
-  }catch(e){ /* ignore */ }
+  registerServiceWorker();
+  // pre-fill the API cache from the bundled data pack, if one was shipped
+  await loadDataPack();
 
-  totalCountEl.textContent = allCount;
+  renderRegionSelect();
+  renderHunt();
+  checkAchievements();
+  typesLoading = loadTypeRosters();
+  habitatsLoading = loadHabitats();
   updateStats();
-  populateTypeFilter();
+  readDexHash();
+  renderDexFilters();
   renderPokedex();
-  loadInventory();
+  renderInventory();
+  startSession();
   attachHandlers();
+  attachSync();
+  takeSnapshot('auto');
+  setInterval(()=>takeSnapshot('auto'), SNAPSHOT_INTERVAL_MS);
+  // ask the browser not to evict saves under storage pressure
+  try{ if(navigator.storage && navigator.storage.persist) navigator.storage.persist().catch(()=>{}); }catch(e){}
+}
+
+// ignore clicks on game controls while a replay is driving them
+const userAction = fn => (...args) => { if(replay) return; return fn(...args); };
+
+// the service worker keeps the app shell and sprites available offline
+function registerServiceWorker(){
+  if(!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register('./sw.js').catch(e=>console.warn('service worker registration failed', e));
 }
 
 function attachHandlers(){
-  btnEncounter.addEventListener('click', encounterRandom);
-  btnRandom3.addEventListener('click', ()=>{ encounterRandom(); setTimeout(encounterRandom,250); setTimeout(encounterRandom,500); });
+  btnEncounter.addEventListener('click', userAction(()=>requestEncounter(1)));
+  btnRandom3.addEventListener('click', userAction(()=>requestEncounter(HORDE_MAX)));
+  const horde = el('horde');
+  horde && horde.addEventListener('click', userAction(e=>{
+    const slot = e.target.closest('[data-slot]');
+    if(slot) selectEncounter(parseInt(slot.dataset.slot, 10));
+  }));
   // ensure capture button has a handler (defensive attach)
   if(btnCatch){
-    try{ btnCatch.removeEventListener('click', tryCatch); }catch(e){}
-    btnCatch.addEventListener('click', tryCatch);
+    btnCatch.addEventListener('click', userAction(()=>tryCatch()));
     // initial state
     btnCatch.disabled = true;
   }
-  btnRun.addEventListener('click', runAway);
+  btnRun.addEventListener('click', userAction(runAway));
+  const battlePanel = el('battle-panel');
+  battlePanel && battlePanel.addEventListener('click', userAction(e=>{
+    const btn = e.target.closest('[data-move]');
+    if(btn) battleMove(btn.dataset.move);
+  }));
+  battlePanel && battlePanel.addEventListener('change', userAction(e=>{ if(e.target.id === 'battle-lead') setBattleLead(parseInt(e.target.value, 10)); }));
   btnExport.addEventListener('click', exportPokedex);
   btnImport.addEventListener('click', importPokedex);
   btnReset.addEventListener('click', resetPokedex);
+  btnSnapshots && btnSnapshots.addEventListener('click', showSnapshots);
+  btnStats && btnStats.addEventListener('click', showStats);
+  btnDaily && btnDaily.addEventListener('click', showDaily);
   pageSizeEl.addEventListener('change', ()=>{ page = 1; renderPokedex(); });
   document.getElementById('next-page').addEventListener('click', ()=>{ page++; renderPokedex(); });
   document.getElementById('prev-page').addEventListener('click', ()=>{ page = Math.max(1,page-1); renderPokedex(); });
-  searchEl.addEventListener('input', debounce(()=>{ page = 1; renderPokedex(); }, 300));
-  modalClose.addEventListener('click', ()=>{ modal.setAttribute('aria-hidden','true'); });
-  typeFilter.addEventListener('change', ()=>{ page=1; renderPokedex(); });
-  ballSelect && ballSelect.addEventListener('change', ()=>{});
+  searchEl.addEventListener('input', debounce(()=>{ dexFilter = parseDexQuery(searchEl.value); page = 1; renderDexFilters(); renderPokedex(); }, 300));
+  dexFiltersEl && dexFiltersEl.addEventListener('change', onDexFilterChange);
+  dexFiltersEl && dexFiltersEl.addEventListener('click', e=>{ if(e.target.closest('#dex-filter-clear')){ dexFilter = defaultDexFilter(); searchEl.value = ''; page = 1; renderDexFilters(); renderPokedex(); } });
+  // bookmarked/shared views and manual hash edits
+  window.addEventListener('hashchange', ()=>{ readDexHash(); renderDexFilters(); renderPokedex(); });
+  modalClose.addEventListener('click', closeModal);
+  modal.addEventListener('keydown', onModalKeydown);
+  // clicks on the backdrop close the dialog
+  modal.addEventListener('click', e=>{ if(e.target === modal) closeModal(); });
+  document.addEventListener('focusin', e=>{ if(modalOpen() && !modal.contains(e.target)) modalContent.focus(); });
+  document.addEventListener('keydown', onHotkey);
+  pokedexEl.addEventListener('keydown', onDexKeydown);
+  btnSettings && btnSettings.addEventListener('click', showSettings);
+  ballSelect && ballSelect.addEventListener('change', updateCatchOdds);
+  // Quick/Timer Ball odds move with the encounter clock
+  setInterval(updateCatchOdds, 1000);
+  // the time of day and the weather change on their own
+  setInterval(renderWorld, 60 * 1000);
+  martEl && martEl.addEventListener('click', userAction(e=>{
+    const btn = e.target.closest('[data-buy]');
+    if(btn) buyBall(btn.dataset.buy, parseInt(btn.dataset.qty,10) || 1);
+  }));
+  regionSelectEl && regionSelectEl.addEventListener('change', onRegionToggle);
+  btnSeedLink && btnSeedLink.addEventListener('click', copySeedLink);
+  btnSessionExport && btnSessionExport.addEventListener('click', exportSession);
+  btnSessionReplay && btnSessionReplay.addEventListener('click', importSessionReplay);
+  profilePanelEl && profilePanelEl.addEventListener('click', userAction(onProfileClick));
+  const localeSelect = el('locale-select');
+  localeSelect && localeSelect.addEventListener('change', ()=>changeLocale(localeSelect.value));
 }
 
-function setToast(msg, timeout=2000){
-  toastEl.textContent = msg; toastEl.classList.add('show');
+// `action` ({ label, run }) adds a button to the toast, e.g. Undo
+function setToast(msg, timeout=2000, action){
+  toastEl.textContent = msg;
+  if(action){
+    const btn = document.createElement('button');
+    btn.className = 'toast-action'; btn.textContent = action.label;
+    btn.addEventListener('click', ()=>{ toastEl.classList.remove('show'); action.run(); });
+    toastEl.append(' ', btn);
+  }
+  toastEl.classList.add('show');
   clearTimeout(toastEl._t);
   toastEl._t = setTimeout(()=>toastEl.classList.remove('show'), timeout);
 }
 
+// Screen readers hear encounters and results here, once each; the toast is not a live region
+// because it disappears too quickly. Each message is a new line, so a repeated one is read again
+// and the next encounter does not cut off the last result; the latest few stay to be re-read.
+const ANNOUNCE_KEEP = 3;
+
+function announce(msg){
+  if(!srStatusEl) return;
+  const line = document.createElement('div');
+  line.textContent = msg;
+  srStatusEl.append(line);
+  while(srStatusEl.childElementCount > ANNOUNCE_KEEP) srStatusEl.firstElementChild.remove();
+}
+
+// --- dialog ---
+// One modal is shared by every view. Opening it labels it by the view's heading and moves
+// focus inside; Tab stays inside, Escape closes it and focus returns where it came from.
+let modalReturnFocus = null;
+
+function modalOpen(){ return modal.getAttribute('aria-hidden') === 'false'; }
+
+function openModal(){
+  if(!modalOpen()) modalReturnFocus = document.activeElement;
+  modal.setAttribute('aria-hidden','false');
+  const heading = modalBody.querySelector('h2, h3');
+  if(heading){ heading.id = 'modal-title'; modal.setAttribute('aria-labelledby', 'modal-title'); }
+  else modal.removeAttribute('aria-labelledby');
+  if(!modal.contains(document.activeElement)) modalContent.focus();
+}
+
+function closeModal(){
+  if(!modalOpen()) return;
+  modal.setAttribute('aria-hidden','true');
+  const back = modalReturnFocus;
+  modalReturnFocus = null;
+  if(back && back.focus && document.contains(back)) back.focus();
+}
+
+function modalFocusables(){
+  return Array.from(modal.querySelectorAll('button, [href], input, select, textarea, summary, [tabindex]:not([tabindex="-1"])'))
+    .filter(n=>!n.disabled && !n.closest('[hidden]'));
+}
+
+function onModalKeydown(e){
+  if(e.key === 'Escape'){ e.preventDefault(); closeModal(); return; }
+  if(e.key !== 'Tab') return;
+  const items = modalFocusables();
+  if(!items.length) return;
+  const first = items[0], last = items[items.length-1];
+  const inside = items.includes(document.activeElement);
+  if(e.shiftKey && (!inside || document.activeElement === first)){ e.preventDefault(); last.focus(); }
+  else if(!e.shiftKey && (!inside || document.activeElement === last)){ e.preventDefault(); first.focus(); }
+}
+
+// --- preferences: animations, sound and hotkeys ---
+// labels: hotkey.<action>; actions with a button press it, so disabled buttons stay inert
+const HOTKEY_ACTIONS = ['encounter', 'horde', 'catch', 'run', 'prevBall', 'nextBall', 'prevPage', 'nextPage', 'undo'];
+const HOTKEY_BUTTONS = { encounter:'btn-encounter', horde:'btn-random3', catch:'btn-catch', run:'btn-run', prevPage:'prev-page', nextPage:'next-page' };
+const DEFAULT_HOTKEYS = { encounter:'e', horde:'h', catch:'c', run:'r', prevBall:'q', nextBall:'w', prevPage:'p', nextPage:'n', undo:'u' };
+const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+let prefs = loadPrefs();
+
+// `animations: null` follows the system's reduced-motion setting until the player picks one
+function loadPrefs(){
+  const base = { animations:null, sound:true, hotkeys:{ ...DEFAULT_HOTKEYS } };
+  try{
+    const stored = JSON.parse(localStorage.getItem(PREFS_KEY));
+    if(!isPlainObject(stored)) return base;
+    return {
+      animations: typeof stored.animations === 'boolean' ? stored.animations : null,
+      sound: typeof stored.sound === 'boolean' ? stored.sound : true,
+      hotkeys: { ...base.hotkeys, ...(isPlainObject(stored.hotkeys) ? Object.fromEntries(Object.entries(stored.hotkeys).filter(([a,k])=>HOTKEY_ACTIONS.includes(a) && typeof k === 'string')) : {}) }
+    };
+  }catch(e){ return base; }
+}
+
+function savePrefs(){
+  try{ localStorage.setItem(PREFS_KEY, JSON.stringify(prefs)); }catch(e){ console.warn('savePrefs failed', e); }
+  applyPrefs();
+}
+
+function motionOff(){ return prefs.animations === null ? !!(reducedMotionQuery && reducedMotionQuery.matches) : !prefs.animations; }
+
+function keyLabel(key){ return !key ? '—' : key === ' ' ? 'Space' : key.length === 1 ? key.toUpperCase() : key; }
+
+function applyPrefs(){
+  document.body.classList.toggle('reduced-motion', motionOff());
+  HOTKEY_ACTIONS.forEach(a=>{
+    const btn = HOTKEY_BUTTONS[a] && el(HOTKEY_BUTTONS[a]);
+    if(!btn) return;
+    const key = prefs.hotkeys[a];
+    if(key){ btn.setAttribute('aria-keyshortcuts', key === ' ' ? 'Space' : key); btn.title = tr('settings.shortcut', { key: keyLabel(key) }); }
+    else { btn.removeAttribute('aria-keyshortcuts'); btn.removeAttribute('title'); }
+  });
+}
+
+function onHotkey(e){
+  if(e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || modalOpen()) return;
+  if(e.target.closest && e.target.closest('input, select, textarea, [contenteditable]')) return;
+  const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+  const action = HOTKEY_ACTIONS.find(a=>prefs.hotkeys[a] === key);
+  if(!action) return;
+  e.preventDefault();
+  if(action === 'prevBall' || action === 'nextBall') return cycleBall(action === 'nextBall' ? 1 : -1);
+  if(action === 'undo') return runUndo();
+  const btn = el(HOTKEY_BUTTONS[action]);
+  if(btn && !btn.disabled) btn.click();
+}
+
+function cycleBall(step){
+  const n = ballSelect ? ballSelect.options.length : 0;
+  if(!n) return;
+  ballSelect.selectedIndex = (ballSelect.selectedIndex + step + n) % n;
+  updateCatchOdds();
+  announce(tr('a11y.ball', { ball: ballSelect.options[ballSelect.selectedIndex].textContent }));
+}
+
+function showSettings(){
+  modalBody.innerHTML = `<h3>${tr('settings.title')}</h3>
+    <label class="settings-row"><input type="checkbox" id="pref-animations" ${motionOff() ? '' : 'checked'}> ${tr('settings.animations')}</label>
+    <small class="settings-hint">${tr('settings.animationsHint')}</small>
+    <label class="settings-row"><input type="checkbox" id="pref-sound" ${prefs.sound ? 'checked' : ''}> ${tr('settings.sound')}</label>
+    <h4>${tr('settings.hotkeys')}</h4>
+    <p class="settings-hint">${tr('settings.hotkeysHelp')}</p>
+    <table class="stats-table">${HOTKEY_ACTIONS.map(a=>`<tr><td><label for="hotkey-${a}">${tr(`hotkey.${a}`)}</label></td>
+      <td><input id="hotkey-${a}" class="hotkey-input" data-hotkey="${a}" value="${escapeHtml(keyLabel(prefs.hotkeys[a]))}" readonly></td></tr>`).join('')}</table>
+    <div style="margin-top:12px"><button id="pref-reset">${tr('settings.reset')}</button></div>`;
+  openModal();
+  el('pref-animations').addEventListener('change', e=>{ prefs.animations = e.target.checked; savePrefs(); });
+  el('pref-sound').addEventListener('change', e=>{ prefs.sound = e.target.checked; savePrefs(); });
+  el('pref-reset').addEventListener('click', ()=>{ prefs = { animations:null, sound:true, hotkeys:{ ...DEFAULT_HOTKEYS } }; savePrefs(); showSettings(); });
+  modalBody.querySelectorAll('.hotkey-input').forEach(input=>input.addEventListener('keydown', onHotkeyInput));
+}
+
+// the pressed key becomes the binding; Backspace/Delete clear it, Tab and Escape keep their jobs
+function onHotkeyInput(e){
+  if(['Tab','Escape','Shift','Control','Alt','Meta'].includes(e.key) || e.ctrlKey || e.metaKey || e.altKey) return;
+  e.preventDefault();
+  const action = e.target.dataset.hotkey;
+  const key = e.key === 'Backspace' || e.key === 'Delete' ? '' : e.key.length === 1 ? e.key.toLowerCase() : e.key;
+  // a key drives one action only
+  if(key) HOTKEY_ACTIONS.forEach(a=>{ if(prefs.hotkeys[a] === key) prefs.hotkeys[a] = ''; });
+  prefs.hotkeys[action] = key;
+  savePrefs();
+  modalBody.querySelectorAll('.hotkey-input').forEach(i=>{ i.value = keyLabel(prefs.hotkeys[i.dataset.hotkey]); });
+}
+
 // small capture sound using WebAudio API (synth chime)
 function playCaptureSound(){
+  if(!prefs.sound) return;
   try{
     const ctx = new (window.AudioContext || window.webkitAudioContext)();
     const o = ctx.createOscillator();
@@ -133,98 +408,777 @@ function playCaptureSound(){
   }catch(e){}
 }
 
-function save(){
+// --- save document ---
+// One versioned document holds the dex, inventory and captureCounter:
+// { format, version, savedAt, pokedex, inventory, captureCounter, money, settings, hunt, unlocks, achievements, candy, encountered }
+
+// MIGRATIONS[n] upgrades a version-n document to version n+1
+const MIGRATIONS = [
+  // 0 -> 1: legacy `pokedex_v1` dex map plus its `_inv` companion, which is either a bare
+  // inventory object (oldest saves) or { inventory, captureCounter }
+  doc => {
+    const pokedex = doc.pokedex;
+    const inv = isPlainObject(doc.inv) ? doc.inv : {};
+    const wrapped = isPlainObject(inv.inventory);
+    const caught = isPlainObject(pokedex) ? Object.values(pokedex).filter(p=>p && p.caught === true).length : 0;
+    return {
+      format: SAVE_FORMAT, version: 1, pokedex,
+      inventory: { ...DEFAULT_INVENTORY, ...(wrapped ? inv.inventory : inv) },
+      // saves without a counter get one from their unique captures
+      captureCounter: wrapped && Number.isInteger(inv.captureCounter) ? inv.captureCounter : caught
+    };
+  },
+  // 1 -> 2: settings block; older saves played the whole national dex
+  doc => ({ ...doc, version: 2, settings: { regions: REGIONS.map(r=>r.id) } }),
+  // 2 -> 3: shiny hunt state and unlocked odds modifiers
+  doc => ({ ...doc, version: 3, hunt: { target:null, name:null, chain:0, best:0 }, unlocks: [] }),
+  // 3 -> 4: PokéMart money
+  doc => ({ ...doc, version: 4, money: 0 }),
+  // 4 -> 5: achievements; the old every-10/every-100 capture bonuses were already paid out
+  doc => ({ ...doc, version: 5, achievements: {
+    unlocked: {}, streak: 0, bestStreak: 0,
+    milestones: { 'every-10': Math.floor(doc.captureCounter / 10), 'every-100': Math.floor(doc.captureCounter / 100) }
+  } }),
+  // 5 -> 6: per-species encounter counts for the detail view
+  doc => ({ ...doc, version: 6, encountered: {} }),
+  // 6 -> 7: candy from duplicate captures
+  doc => ({ ...doc, version: 7, candy: {} }),
+  // 7 -> 8: battle lead, picked by the player from the caught species
+  doc => ({ ...doc, version: 8, settings: { ...doc.settings, lead: null } })
+];
+
+// accepts a current document, an older one, or a bare dex map (old exports)
+function migrateSave(raw){
+  let doc = raw && raw.format === SAVE_FORMAT ? raw : { format: SAVE_FORMAT, version:0, pokedex: raw };
+  if(!Number.isInteger(doc.version) || doc.version < 0 || doc.version > SAVE_VERSION){
+    throw new Error(tr('save.unsupportedVersion', { version: JSON.stringify(doc.version) }));
+  }
+  while(doc.version < SAVE_VERSION) doc = MIGRATIONS[doc.version](doc);
+  return doc;
+}
+
+function dexEntryErrors(key, p){
+  const path = `pokedex["${key}"]`;
+  if(!isPlainObject(p)) return [tr('err.object', { path })];
+  const errors = [];
+  if(!Number.isInteger(p.id) || p.id < 1 || String(p.id) !== key) errors.push(tr('err.dexId', { path:`${path}.id`, value: JSON.stringify(p.id) }));
+  if(typeof p.name !== 'string' || !p.name) errors.push(tr('err.name', { path:`${path}.name` }));
+  if(typeof p.caught !== 'boolean') errors.push(tr('err.boolean', { path:`${path}.caught` }));
+  if(p.types !== undefined && !(Array.isArray(p.types) && p.types.every(t=>typeof t === 'string'))) errors.push(tr('err.types', { path:`${path}.types` }));
+  ['is_legendary','shiny'].forEach(f=>{ if(p[f] !== undefined && typeof p[f] !== 'boolean') errors.push(tr('err.boolean', { path:`${path}.${f}` })); });
+  ['sprite','shinySprite'].forEach(f=>{ if(p[f] != null && typeof p[f] !== 'string') errors.push(tr('err.url', { path:`${path}.${f}` })); });
+  ['capturedAt','shinyCapturedAt'].forEach(f=>{
+    if(p[f] != null && (typeof p[f] !== 'string' || isNaN(Date.parse(p[f])))) errors.push(tr('err.date', { path:`${path}.${f}`, value: JSON.stringify(p[f]) }));
+  });
+  if(p.obtainedBy !== undefined && p.obtainedBy !== 'evolution') errors.push(tr('err.obtainedBy', { path:`${path}.obtainedBy`, value: JSON.stringify(p.obtainedBy) }));
+  if(p.evolvedFrom !== undefined && (!Number.isInteger(p.evolvedFrom) || p.evolvedFrom < 1)) errors.push(tr('err.dexNumber', { path:`${path}.evolvedFrom` }));
+  if(p.family !== undefined && (!Number.isInteger(p.family) || p.family < 1)) errors.push(tr('err.dexNumber', { path:`${path}.family` }));
+  return errors;
+}
+
+// returns a list of human-readable problems; empty means the document is valid
+function validateSave(doc){
+  if(!isPlainObject(doc)) return [tr('err.object', { path:'save' })];
+  const errors = [];
+  if(!isPlainObject(doc.pokedex)) errors.push(tr('err.pokedex'));
+  else Object.entries(doc.pokedex).forEach(([k,p])=>errors.push(...dexEntryErrors(k,p)));
+  if(!isPlainObject(doc.inventory)) errors.push(tr('err.inventory'));
+  else Object.entries(doc.inventory).forEach(([ball,n])=>{
+    if(!Number.isInteger(n) || n < -1) errors.push(tr('err.ballCount', { path:`inventory.${ball}`, value: JSON.stringify(n) }));
+  });
+  if(!Number.isInteger(doc.captureCounter) || doc.captureCounter < 0) errors.push(tr('err.nonNegative', { path:'captureCounter', value: JSON.stringify(doc.captureCounter) }));
+  if(!Number.isInteger(doc.money) || doc.money < 0) errors.push(tr('err.nonNegative', { path:'money', value: JSON.stringify(doc.money) }));
+  if(!isPlainObject(doc.settings)) errors.push(tr('err.object', { path:'settings' }));
+  else errors.push(...regionErrors(doc.settings.regions), ...leadErrors(doc.settings.lead));
+  errors.push(...huntErrors(doc.hunt));
+  errors.push(...achievementErrors(doc.achievements));
+  errors.push(...candyErrors(doc.candy));
+  errors.push(...encounteredErrors(doc.encountered));
+  // sync bookkeeping, see save()
+  ['rev','generation'].forEach(f=>{ if(doc[f] !== undefined && (!Number.isInteger(doc[f]) || doc[f] < 0)) errors.push(tr('err.nonNegative', { path:f, value: JSON.stringify(doc[f]) })); });
+  if(!Array.isArray(doc.unlocks) || !doc.unlocks.every(u=>typeof u === 'string')) errors.push(tr('err.unlocks'));
+  return errors;
+}
+
+function regionErrors(regions){
+  if(!Array.isArray(regions) || !regions.length) return [tr('err.regionsEmpty')];
+  return regions.filter(id=>!REGIONS.some(r=>r.id === id)).map(id=>tr('err.regionUnknown', { value: JSON.stringify(id) }));
+}
+
+function leadErrors(lead){
+  return lead === null || (Number.isInteger(lead) && lead >= 1) ? [] : [tr('err.dexNumber', { path:'settings.lead' })];
+}
+
+function huntErrors(h){
+  if(!isPlainObject(h)) return [tr('err.object', { path:'hunt' })];
+  const errors = [];
+  if(h.target !== null && (!Number.isInteger(h.target) || h.target < 1)) errors.push(tr('err.dexNumberOrNull', { path:'hunt.target', value: JSON.stringify(h.target) }));
+  ['chain','best'].forEach(f=>{ if(!Number.isInteger(h[f]) || h[f] < 0) errors.push(tr('err.nonNegative', { path:`hunt.${f}`, value: JSON.stringify(h[f]) })); });
+  return errors;
+}
+
+function achievementErrors(a){
+  if(!isPlainObject(a)) return [tr('err.object', { path:'achievements' })];
+  const errors = [];
+  if(!isPlainObject(a.unlocked) || !Object.values(a.unlocked).every(d=>typeof d === 'string' && !isNaN(Date.parse(d)))) errors.push(tr('err.unlockedMap'));
+  if(!isPlainObject(a.milestones) || !Object.values(a.milestones).every(n=>Number.isInteger(n) && n >= 0)) errors.push(tr('err.milestoneMap'));
+  ['streak','bestStreak'].forEach(f=>{ if(!Number.isInteger(a[f]) || a[f] < 0) errors.push(tr('err.nonNegative', { path:`achievements.${f}`, value: JSON.stringify(a[f]) })); });
+  return errors;
+}
+
+function candyErrors(c){
+  if(!isPlainObject(c)) return [tr('err.candy')];
+  return Object.entries(c).filter(([id,n])=>!/^[1-9]\d*$/.test(id) || !Number.isInteger(n) || n < 0)
+    .map(([id,n])=>tr('err.candyEntry', { path:`candy["${id}"]`, value: JSON.stringify(n) }));
+}
+
+function encounteredErrors(c){
+  if(!isPlainObject(c)) return [tr('err.encountered')];
+  return Object.entries(c).filter(([id,n])=>!/^[1-9]\d*$/.test(id) || !Number.isInteger(n) || n < 0)
+    .map(([id,n])=>tr('err.candyEntry', { path:`encountered["${id}"]`, value: JSON.stringify(n) }));
+}
+
+// what a profile without a save starts from
+function newSave(){
+  return { format: SAVE_FORMAT, version: SAVE_VERSION, pokedex:{}, inventory:{ ...DEFAULT_INVENTORY }, captureCounter:0, money:0, settings:{ regions: REGIONS.map(r=>r.id), lead: null },
+    hunt:{ target:null, name:null, chain:0, best:0 }, unlocks:[], achievements:{ unlocked:{}, milestones:{}, streak:0, bestStreak:0 }, candy:{}, encountered:{} };
+}
+
+function buildSave(){
+  return { format: SAVE_FORMAT, version: SAVE_VERSION, savedAt: (new Date()).toISOString(), pokedex, inventory, captureCounter, money, settings: { regions: activeRegions, lead: battleLead }, hunt, unlocks, achievements: achievementState, candy, encountered };
+}
+
+function applySave(doc){
+  pokedex = doc.pokedex;
+  inventory = { ...DEFAULT_INVENTORY, ...doc.inventory };
+  captureCounter = doc.captureCounter;
+  money = doc.money;
+  setActiveRegions(doc.settings.regions);
+  battleLead = doc.settings.lead;
+  hunt = { ...doc.hunt };
+  unlocks = doc.unlocks.slice();
+  achievementState = JSON.parse(JSON.stringify(doc.achievements));
+  candy = { ...doc.candy };
+  encountered = { ...doc.encountered };
+}
+
+// one species from both sides, see mergeSaves
+function mergeDexEntry(cur, p){
+  const dates = [cur.capturedAt, p.capturedAt].filter(Boolean).sort((a,b)=>Date.parse(a)-Date.parse(b));
+  return {
+    ...p, ...cur,
+    caught: cur.caught || p.caught,
+    shiny: !!(cur.shiny || p.shiny),
+    is_legendary: !!(cur.is_legendary || p.is_legendary),
+    sprite: cur.sprite || p.sprite,
+    capturedAt: dates[0] || null
+  };
+}
+
+// Dex union: caught if caught on either side, earliest capturedAt, shiny if either was.
+// Inventory and counter keep the larger value so merging never hands out extra balls.
+function mergeSaves(base, incoming){
+  const pokedex = { ...base.pokedex };
+  Object.entries(incoming.pokedex).forEach(([id,p])=>{
+    pokedex[id] = pokedex[id] ? mergeDexEntry(pokedex[id], p) : { ...p };
+  });
+  const inventory = { ...base.inventory };
+  Object.entries(incoming.inventory).forEach(([ball,n])=>{
+    const cur = inventory[ball];
+    inventory[ball] = (cur === -1 || n === -1) ? -1 : Math.max(cur||0, n);
+  });
+  return {
+    ...base, pokedex, inventory,
+    captureCounter: Math.max(base.captureCounter, incoming.captureCounter),
+    money: Math.max(base.money, incoming.money),
+    unlocks: Array.from(new Set([...base.unlocks, ...incoming.unlocks])),
+    // rewards already paid on either side stay paid
+    achievements: {
+      unlocked: { ...incoming.achievements.unlocked, ...base.achievements.unlocked },
+      milestones: Object.fromEntries(Array.from(new Set([...Object.keys(base.achievements.milestones), ...Object.keys(incoming.achievements.milestones)]))
+        .map(id=>[id, Math.max(base.achievements.milestones[id]||0, incoming.achievements.milestones[id]||0)])),
+      streak: base.achievements.streak,
+      bestStreak: Math.max(base.achievements.bestStreak, incoming.achievements.bestStreak)
+    },
+    candy: Object.fromEntries(Array.from(new Set([...Object.keys(base.candy), ...Object.keys(incoming.candy)]))
+      .map(id=>[id, Math.max(base.candy[id]||0, incoming.candy[id]||0)])),
+    encountered: Object.fromEntries(Array.from(new Set([...Object.keys(base.encountered), ...Object.keys(incoming.encountered)]))
+      .map(id=>[id, Math.max(base.encountered[id]||0, incoming.encountered[id]||0)]))
+  };
+}
+
+function loadSave(){
+  applySave(newSave());
+  savedAt = null;
+  setSyncBase(JSON.stringify(newSave()));
+  restoreDurableSave();
+  let raw = null;
+  try{
+    const stored = localStorage.getItem(profileKey(SAVE_KEY));
+    if(stored) raw = JSON.parse(stored);
+    else if(profiles.active === DEFAULT_PROFILE){
+      const legacy = localStorage.getItem(STORAGE_KEY);
+      const legacyInv = localStorage.getItem(STORAGE_KEY + '_inv');
+      if(legacy || legacyInv) raw = { format: SAVE_FORMAT, version:0, pokedex: legacy ? JSON.parse(legacy) : {}, inv: legacyInv ? JSON.parse(legacyInv) : null, legacy:true };
+    }
+  }catch(e){ console.warn('loadSave: unreadable save', e); }
+  if(!raw) return;
+
+  let doc;
+  try{ doc = migrateSave(raw); }
+  catch(e){ console.error('loadSave: migration failed, starting fresh', e); backupRawSave(); return; }
+  const errors = validateSave(doc);
+  if(errors.length){
+    // keep what is valid instead of discarding the whole save; the original stays in a backup key
+    console.warn('loadSave: dropping invalid data', errors);
+    backupRawSave();
+    if(!isPlainObject(doc.pokedex)) doc.pokedex = {};
+    Object.keys(doc.pokedex).forEach(k=>{ if(dexEntryErrors(k, doc.pokedex[k]).length) delete doc.pokedex[k]; });
+    if(!isPlainObject(doc.inventory)) doc.inventory = {};
+    Object.keys(doc.inventory).forEach(b=>{ const n = doc.inventory[b]; if(!Number.isInteger(n) || n < -1) delete doc.inventory[b]; });
+    if(!Number.isInteger(doc.captureCounter) || doc.captureCounter < 0) doc.captureCounter = 0;
+    if(!Number.isInteger(doc.money) || doc.money < 0) doc.money = 0;
+    if(!isPlainObject(doc.settings) || regionErrors(doc.settings.regions).length) doc.settings = { regions: REGIONS.map(r=>r.id), lead: null };
+    if(leadErrors(doc.settings.lead).length) doc.settings = { ...doc.settings, lead: null };
+    if(huntErrors(doc.hunt).length) doc.hunt = { target:null, name:null, chain:0, best:0 };
+    if(!Array.isArray(doc.unlocks)) doc.unlocks = [];
+    doc.unlocks = doc.unlocks.filter(u=>typeof u === 'string');
+    if(!isPlainObject(doc.candy)) doc.candy = {};
+    Object.keys(doc.candy).forEach(id=>{ if(candyErrors({ [id]: doc.candy[id] }).length) delete doc.candy[id]; });
+    if(achievementErrors(doc.achievements).length) doc.achievements = { unlocked:{}, streak:0, bestStreak:0, milestones: { 'every-10': Math.floor(doc.captureCounter / 10), 'every-100': Math.floor(doc.captureCounter / 100) } };
+    ['rev','generation'].forEach(f=>{ if(!Number.isInteger(doc[f]) || doc[f] < 0) delete doc[f]; });
+    if(!isPlainObject(doc.encountered)) doc.encountered = {};
+    Object.keys(doc.encountered).forEach(id=>{ if(encounteredErrors({ [id]: doc.encountered[id] }).length) delete doc.encountered[id]; });
+  }
+  applySave(doc);
+  savedAt = doc.savedAt || null;
+  setSyncBase(JSON.stringify(doc));
+  // write the migrated document, then retire the legacy keys
+  if(raw.legacy && save()){
+    try{ localStorage.removeItem(STORAGE_KEY); localStorage.removeItem(STORAGE_KEY + '_inv'); }catch(e){}
+  }
+}
+
+function backupRawSave(){
+  try{
+    const stored = localStorage.getItem(profileKey(SAVE_KEY)) || (profiles.active === DEFAULT_PROFILE && localStorage.getItem(STORAGE_KEY));
+    if(stored) localStorage.setItem(profileKey(SAVE_KEY) + '_backup', stored);
+  }catch(e){}
+}
+
+// Returns true when the document was written to localStorage. Every save also goes to
+// IndexedDB and to the other open tabs; a full localStorage never costs stored progress.
+// `replace` (a reset, restore or replacing import) starts a new generation, which the other
+// tabs take as it is; any other save goes on top of whatever another tab stored meanwhile.
+function save({ replace = false } = {}){
+  // a replay runs on a scratch copy of the state; never persist it
+  if(replay){ updateStats(); return false; }
+  const key = profileKey(SAVE_KEY);
+  const stored = readNewerSave(key);
+  if(stored && !replace){ applySave(rebaseSave(buildSave(), syncBase, stored)); renderGame(); }
+  const latest = stored || syncBase;
+  const doc = { ...buildSave(), rev: (latest.rev || 0) + 1, generation: (latest.generation || 0) + (replace ? 1 : 0) };
+  const raw = JSON.stringify(doc);
+  setSyncBase(raw);
+  saveSeq++;
+  savedAt = doc.savedAt;
+  const durable = putDurableSave(key, doc);
+  broadcastSave(doc);
   try{
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(pokedex));
+    localStorage.setItem(key, raw);
+    storageFull = false;
     updateStats();
+    return true;
   }catch(e){
-    console.warn('save() failed, attempting compact save', e);
-    try{
-      // fallback: save only captured entries to reduce size
-      const compact = Object.fromEntries(Object.entries(pokedex).filter(([k,v])=>v && v.caught));
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(compact));
-      updateStats();
-      setToast('Espaço de armazenamento cheio — salvando apenas Pokémons capturados', 3000);
-    }catch(e2){
-      console.warn('compact save failed', e2);
-      try{
-        // minimal fallback: store only metadata (counts + inventory)
-        const meta = { caught: Object.values(pokedex).filter(p=>p.caught).length, captureCounter };
-        localStorage.setItem(STORAGE_KEY + '_meta', JSON.stringify(meta));
-        setToast('Armazenamento cheio — salvando apenas metadados', 3000);
-      }catch(e3){
-        console.error('all save fallbacks failed', e3);
-        // last resort: clear localStorage keys used by app to recover
-        try{ localStorage.removeItem(STORAGE_KEY); localStorage.removeItem(STORAGE_KEY + '_inv'); }catch(e4){}
-        setToast('Erro: armazenamento do navegador cheio. Dados antigos podem ter sido apagados.', 4000);
-      }
-    }
+    // the previous copy stays as it is; loadSave() prefers the newer IndexedDB one
+    console.warn('save() to localStorage failed', e);
+    updateStats();
+    durable.then(ok=>{
+      if(!ok) return showStorageFull();
+      if(!durableOnlyNoted){ durableOnlyNoted = true; setToast(tr('save.durableOnly'), 3000); }
+    });
+    return false;
   }
 }
 
+// inventory and counter live in the same document as the dex
 function saveInventory(){
-  const payload = { inventory, captureCounter };
-  try{
-    localStorage.setItem(STORAGE_KEY + '_inv', JSON.stringify(payload));
-    renderInventory();
-  }catch(e){
-    console.warn('saveInventory failed', e);
+  save();
+  renderInventory();
+}
+
+// --- durable copy, storage-full recovery and cross-tab sync ---
+// IndexedDB holds a copy of every profile's save (keyed like localStorage) with far more
+// room than localStorage. Tabs announce each save on a BroadcastChannel, or through the
+// `storage` event where that is missing. Each stored document carries `rev`, bumped by every
+// save, and `generation`, bumped by a reset, restore or replacing import; see rebaseSave.
+const SAVE_DB = 'pokemonrng-saves';
+const SAVE_STORE = 'saves';
+const SPRITE_CACHE = 'pokemonrng-sprites-v1'; // see sw.js
+const syncChannel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('pokemonrng-sync') : null;
+let saveDbPromise = null;
+let savedAt = null; // savedAt of the document this tab last loaded or wrote
+let saveSeq = 0; // bumped by every save, so a slow IndexedDB read never replaces newer play
+let storageFull = false; // the recovery dialog is up
+let durableOnlyNoted = false;
+let pendingSync = null; // the last save another tab sent during a replay
+let syncBase = newSave(); // the stored document this tab's state was last in step with
+let syncRaw = null; // syncBase as it was written, to notice other tabs' writes cheaply
+
+function openSaveDb(){
+  if(saveDbPromise) return saveDbPromise;
+  saveDbPromise = new Promise((resolve)=>{
     try{
-      // attempt compact inventory-only save
-      localStorage.setItem(STORAGE_KEY + '_inv_small', JSON.stringify({ captureCounter }));
-      setToast('Espaço de armazenamento insuficiente para salvar inventário completo', 3000);
-    }catch(e2){
-      console.error('saveInventory fallbacks failed', e2);
-      setToast('Erro ao salvar inventário — armazenamento cheio', 3500);
+      const req = indexedDB.open(SAVE_DB, 1);
+      req.onupgradeneeded = ()=>{ req.result.createObjectStore(SAVE_STORE); };
+      req.onsuccess = ()=>resolve(req.result);
+      req.onerror = ()=>resolve(null);
+    }catch(e){ resolve(null); } // no IndexedDB: localStorage only
+  });
+  return saveDbPromise;
+}
+
+// resolves to true once the transaction has committed
+async function putDurableSave(key, doc){
+  const db = await openSaveDb(); if(!db) return false;
+  return new Promise((resolve)=>{
+    try{
+      const tx = db.transaction(SAVE_STORE, 'readwrite');
+      tx.objectStore(SAVE_STORE).put(doc, key);
+      tx.oncomplete = ()=>resolve(true); tx.onerror = ()=>resolve(false); tx.onabort = ()=>resolve(false);
+    }catch(e){ resolve(false); }
+  });
+}
+
+async function getDurableSave(key){
+  const db = await openSaveDb(); if(!db) return undefined;
+  return new Promise((resolve)=>{
+    try{
+      const req = db.transaction(SAVE_STORE).objectStore(SAVE_STORE).get(key);
+      req.onsuccess = ()=>resolve(req.result);
+      req.onerror = ()=>resolve(undefined);
+    }catch(e){ resolve(undefined); }
+  });
+}
+
+async function deleteDurableSave(key){
+  const db = await openSaveDb(); if(!db) return;
+  try{ db.transaction(SAVE_STORE, 'readwrite').objectStore(SAVE_STORE).delete(key); }catch(e){}
+}
+
+// a stored or received document, or null when it is unusable
+function readSaveDoc(raw){
+  let doc;
+  try{ doc = migrateSave(raw); }catch(e){ return null; }
+  return validateSave(doc).length ? null : doc;
+}
+
+// A newer IndexedDB copy means localStorage missed saves while it was full.
+async function restoreDurableSave(){
+  const key = profileKey(SAVE_KEY), seq = saveSeq;
+  const stored = await getDurableSave(key);
+  if(!stored || key !== profileKey(SAVE_KEY) || seq !== saveSeq) return;
+  if(!stored.savedAt || (savedAt && stored.savedAt <= savedAt)) return;
+  const doc = readSaveDoc(stored);
+  if(!doc) return;
+  applySave(doc);
+  savedAt = doc.savedAt;
+  setSyncBase(JSON.stringify(doc));
+  renderGame();
+}
+
+// syncBase is kept as a copy: the live state shares its objects with the documents it came from
+function setSyncBase(raw){
+  syncRaw = raw;
+  syncBase = JSON.parse(raw);
+}
+
+function isNewerSave(doc, than){
+  const gen = doc.generation || 0, baseGen = than.generation || 0;
+  return gen > baseGen || (gen === baseGen && (doc.rev || 0) > (than.rev || 0));
+}
+
+// the stored document when another tab wrote a newer one since this tab last synced
+function readNewerSave(key){
+  let raw;
+  try{ raw = localStorage.getItem(key); }catch(e){ return null; }
+  if(!raw || raw === syncRaw) return null;
+  let doc;
+  try{ doc = readSaveDoc(JSON.parse(raw)); }catch(e){ return null; }
+  return doc && isNewerSave(doc, syncBase) ? doc : null;
+}
+
+// Puts what this tab changed since `base` on top of `theirs`, the newer document another tab
+// stored. Counts (money, balls, candy, encounters, the capture counter) add this tab's
+// difference, so rewards earned on both sides are kept and spending is never undone; an
+// achievement both tabs reached is paid once. Dex entries, unlocks and achievements this tab
+// added are merged in; anything else this tab did not touch is taken from `theirs`, so a
+// removal there stays removed.
+function rebaseSave(local, base, theirs){
+  const changed = (a, b)=>JSON.stringify(a) !== JSON.stringify(b);
+  const pokedex = { ...theirs.pokedex };
+  Object.keys({ ...local.pokedex, ...base.pokedex }).forEach(id=>{
+    if(!changed(local.pokedex[id], base.pokedex[id])) return;
+    if(!local.pokedex[id]) delete pokedex[id];
+    // an entry only this tab changed is taken as it is, so an undone capture stays undone
+    else pokedex[id] = pokedex[id] && changed(pokedex[id], base.pokedex[id]) ? mergeDexEntry(pokedex[id], local.pokedex[id]) : local.pokedex[id];
+  });
+  const a = local.achievements, was = base.achievements, their = theirs.achievements;
+  const achievements = {
+    // what this tab took back (an undone capture) stays taken back
+    unlocked: { ...Object.fromEntries(Object.entries(a.unlocked).filter(([id])=>!was.unlocked[id])),
+      ...Object.fromEntries(Object.entries(their.unlocked).filter(([id])=>a.unlocked[id] || !was.unlocked[id])) },
+    // milestones are paid up to a count, so the higher count already covers both sides
+    milestones: Object.fromEntries(Object.keys({ ...their.milestones, ...a.milestones }).map(id=>{
+      const mine = a.milestones[id] || 0, before = was.milestones[id] || 0, other = their.milestones[id] || 0;
+      return [id, mine < before ? Math.max(0, other - (before - mine)) : mine > before ? Math.max(mine, other) : other];
+    })),
+    streak: a.streak !== was.streak ? a.streak : their.streak,
+    bestStreak: Math.max(their.bestStreak, a.bestStreak !== was.bestStreak ? a.bestStreak : 0)
+  };
+  // both tabs may have paid the same achievement: take this tab's rewards out of its changes
+  // and pay what the merge unlocks on top of the other tab's state instead
+  const paid = achievementRewardsBetween(was, a), owed = achievementRewardsBetween(their, achievements);
+  const inventory = { ...theirs.inventory };
+  Object.keys({ ...local.inventory, ...base.inventory, ...owed.balls }).forEach(ball=>{
+    const mine = local.inventory[ball], before = base.inventory[ball];
+    if(inventory[ball] === -1) return;
+    // -1 is an infinite supply
+    if(mine === -1 || before === -1){ if(mine !== before) inventory[ball] = mine; return; }
+    const diff = (mine || 0) - (before || 0) - (paid.balls[ball] || 0) + (owed.balls[ball] || 0);
+    if(diff) inventory[ball] = Math.max(0, (inventory[ball] || 0) + diff);
+  });
+  const caught = Object.values(pokedex).filter(p=>p && p.caught).length;
+  return {
+    ...theirs,
+    pokedex, inventory, achievements,
+    captureCounter: Math.max(caught, theirs.captureCounter + local.captureCounter - base.captureCounter),
+    money: Math.max(0, theirs.money + local.money - base.money - paid.money + owed.money),
+    settings: changed(local.settings, base.settings) ? local.settings : theirs.settings,
+    hunt: changed(local.hunt, base.hunt) ? local.hunt : theirs.hunt,
+    unlocks: Array.from(new Set([...theirs.unlocks, ...local.unlocks.filter(u=>!base.unlocks.includes(u))])),
+    candy: rebaseCounts(local.candy, base.candy, theirs.candy),
+    encountered: rebaseCounts(local.encountered, base.encountered, theirs.encountered)
+  };
+}
+
+function rebaseCounts(local, base, theirs){
+  const counts = { ...theirs };
+  Object.keys({ ...local, ...base }).forEach(id=>{
+    const diff = (local[id] || 0) - (base[id] || 0);
+    if(diff) counts[id] = Math.max(0, (counts[id] || 0) + diff);
+  });
+  return counts;
+}
+
+function broadcastSave(doc){
+  // other tabs see the localStorage write instead
+  if(!syncChannel) return;
+  try{ syncChannel.postMessage({ type:'save', profile: profiles.active, doc }); }catch(e){ console.warn('broadcastSave failed', e); }
+}
+
+function onSyncSave(profile, raw){
+  if(profile !== profiles.active) return;
+  // a replay runs on scratch state; take the save once the real state is back
+  if(replay){ pendingSync = raw; return; }
+  const incoming = readSaveDoc(raw);
+  // an older document crossed this tab's own save on the way
+  if(!incoming || !isNewerSave(incoming, syncBase)) return;
+  // a reset, restore or replacing import in the other tab wins, this tab's changes included
+  const replaced = (incoming.generation || 0) > (syncBase.generation || 0);
+  const doc = replaced ? incoming : rebaseSave(buildSave(), syncBase, incoming);
+  // this tab had changes the other one has not seen
+  const ahead = !replaced && !sameProgress(doc, incoming);
+  applySave(doc);
+  setSyncBase(JSON.stringify(incoming));
+  savedAt = incoming.savedAt;
+  if(replaced) startSession();
+  renderGame(); updateStats();
+  if(ahead) save();
+}
+
+// another tab changed the profile list; this tab keeps playing its own profile
+function onSyncProfiles(){
+  try{
+    const data = JSON.parse(localStorage.getItem(PROFILES_KEY));
+    if(!isPlainObject(data) || !Array.isArray(data.list) || !data.list.length) return;
+    profiles.list = data.list;
+  }catch(e){ return; }
+  if(!profiles.list.some(p=>p.id === profiles.active)) switchProfile(profiles.list[0].id);
+  renderProfiles();
+}
+
+function attachSync(){
+  if(syncChannel) syncChannel.addEventListener('message', e=>{ if(e.data && e.data.type === 'save') onSyncSave(e.data.profile, e.data.doc); });
+  window.addEventListener('storage', e=>{
+    if(e.key === PROFILES_KEY) return onSyncProfiles();
+    if(!syncChannel && e.key === profileKey(SAVE_KEY) && e.newValue){
+      try{ onSyncSave(profiles.active, JSON.parse(e.newValue)); }catch(err){}
     }
-    renderInventory();
+  });
+}
+
+// Nothing is deleted to make room. The player can export, drop re-downloadable caches and retry.
+function showStorageFull(){
+  if(storageFull) return;
+  storageFull = true;
+  modalBody.innerHTML = `<h3>${tr('storage.title')}</h3>
+    <p>${tr('storage.body')}</p>
+    <ol class="storage-steps">
+      <li><button id="storage-export">${tr('toolbar.export')}</button> ${tr('storage.stepExport')}</li>
+      <li><button id="storage-free">${tr('storage.free')}</button> ${tr('storage.stepFree')}</li>
+      <li><button id="storage-retry">${tr('storage.retry')}</button> ${tr('storage.stepRetry')}</li>
+    </ol>
+    <p id="storage-status" style="font-size:13px;color:#666"></p>`;
+  openModal();
+  const status = el('storage-status');
+  el('storage-export').addEventListener('click', exportPokedex);
+  el('storage-free').addEventListener('click', async ()=>{
+    await clearApiCache();
+    try{ if(typeof caches !== 'undefined') await caches.delete(SPRITE_CACHE); }catch(e){}
+    status.textContent = tr('storage.freed');
+  });
+  el('storage-retry').addEventListener('click', async ()=>{
+    const stored = save() || await putDurableSave(profileKey(SAVE_KEY), buildSave());
+    if(!stored){ status.textContent = tr('storage.stillFull'); return; }
+    storageFull = false;
+    closeModal();
+    setToast(tr('storage.saved'));
+  });
+}
+
+// everything that shows save state, after the state was replaced from outside this tab
+function renderGame(){
+  renderRegionSelect(); renderHunt(); renderDexFilters(); renderPokedex(); renderInventory(); renderEncounter(); renderAchievements();
+}
+
+// --- profiles ---
+// Each profile has its own save document and history log. The registry lists the profiles
+// and remembers the active one. The default profile keeps the original storage keys, so a
+// save from before profiles existed simply becomes that profile.
+function profileKey(key, id = profiles.active){ return id === DEFAULT_PROFILE ? key : `${key}:${id}`; }
+
+function profileKeys(id){
+  const saveKey = profileKey(SAVE_KEY, id);
+  return [saveKey, saveKey + '_backup', saveKey + '_meta', profileKey(HISTORY_KEY, id)];
+}
+
+function profileName(p){ return p.name || tr('profile.defaultName'); }
+function activeProfile(){ return profiles.list.find(p=>p.id === profiles.active); }
+
+function loadProfiles(){
+  try{
+    const data = JSON.parse(localStorage.getItem(PROFILES_KEY));
+    const valid = isPlainObject(data) && Array.isArray(data.list) && data.list.length
+      && data.list.every(p=>isPlainObject(p) && typeof p.id === 'string' && p.id && typeof p.name === 'string');
+    if(valid) profiles = { active: data.list.some(p=>p.id === data.active) ? data.active : data.list[0].id, list: data.list };
+  }catch(e){ console.warn('loadProfiles: unreadable registry', e); }
+  saveProfiles();
+}
+
+function saveProfiles(){
+  try{ localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles)); }catch(e){ console.warn('saveProfiles failed', e); }
+}
+
+function askProfileName(current){
+  const name = prompt(tr('profile.namePrompt'), current || '');
+  return name && name.trim() ? name.trim().slice(0, 40) : null;
+}
+
+// the wild Pokémon on screen belong to the run, so switching waits for a settled encounter
+function switchProfile(id){
+  if(!profiles.list.some(p=>p.id === id)) return false;
+  if(encounterBusy() || encounterQueue.length){ setToast(tr('profile.busy')); return false; }
+  writeHistory();
+  profiles.active = id;
+  saveProfiles();
+  loadSave();
+  loadHistory();
+  takeSnapshot('auto');
+  encounters = []; selectedEncounter = 0; encounterState = 'idle';
+  dailyRun = null; dailyEncounter = null;
+  startSession();
+  page = 1;
+  renderRegionSelect(); renderHunt(); checkAchievements(); updateStats();
+  renderPokedex(); renderInventory(); renderEncounter(); renderProfiles();
+  setToast(tr('profile.switched', { name: profileName(activeProfile()) }));
+  return true;
+}
+
+function createProfile(){
+  const name = askProfileName();
+  if(!name) return;
+  const id = `p${Date.now().toString(36)}`;
+  profiles.list.push({ id, name });
+  saveProfiles();
+  if(!switchProfile(id)) renderProfiles();
+}
+
+function renameProfile(id){
+  const p = profiles.list.find(p=>p.id === id);
+  const name = p && askProfileName(profileName(p));
+  if(!name) return;
+  p.name = name;
+  saveProfiles(); renderProfiles();
+}
+
+// copies the stored documents, so the active profile is flushed first
+function duplicateProfile(id){
+  const src = profiles.list.find(p=>p.id === id);
+  if(!src) return;
+  if(id === profiles.active){ save(); writeHistory(); }
+  const copy = { id: `p${Date.now().toString(36)}`, name: tr('profile.copyName', { name: profileName(src) }) };
+  const from = profileKeys(id), to = profileKeys(copy.id);
+  try{
+    from.forEach((k,i)=>{ const v = localStorage.getItem(k); if(v !== null) localStorage.setItem(to[i], v); });
+  }catch(e){
+    console.warn('duplicateProfile failed', e);
+    to.forEach(k=>{ try{ localStorage.removeItem(k); }catch(e2){} });
+    return setToast(tr('profile.copyFailed'), 3000);
   }
+  getDurableSave(from[0]).then(doc=>{ if(doc) putDurableSave(to[0], doc); });
+  readSnapshots(snapshotKey(id)).then(list=>{ if(list.length) putDurableSave(snapshotKey(copy.id), list); });
+  profiles.list.push(copy);
+  saveProfiles(); renderProfiles();
+  setToast(tr('profile.created', { name: copy.name }));
 }
 
-function loadInventory(){
+function deleteProfile(id){
+  const p = profiles.list.find(p=>p.id === id);
+  if(!p || profiles.list.length < 2) return;
+  if(!confirm(tr('profile.confirmDelete', { name: profileName(p) }))) return;
+  if(id === profiles.active && !switchProfile(profiles.list.find(o=>o.id !== id).id)) return;
+  const at = profiles.list.indexOf(p), keys = profileKeys(id);
+  const saveKey = profileKey(SAVE_KEY, id), snapKey = snapshotKey(id);
+  // everything the profile stored stays in memory while its Undo lasts
+  const stored = keys.map(k=>{ try{ return localStorage.getItem(k); }catch(e){ return null; } });
+  const durable = Promise.all([getDurableSave(saveKey), readSnapshots(snapKey)]).then(kept=>{
+    deleteDurableSave(saveKey);
+    deleteDurableSave(snapKey);
+    delete snapshotMemory[snapKey];
+    return kept;
+  });
+  profiles.list = profiles.list.filter(o=>o.id !== id);
+  saveProfiles();
+  keys.forEach(k=>{ try{ localStorage.removeItem(k); }catch(e){} });
+  renderProfiles();
+  offerUndo(tr('profile.deleted', { name: profileName(p) }), ()=>restoreProfile(p, at, keys, stored, durable));
+}
+
+// puts a deleted profile back under its own id, with its saves, history and snapshots
+function restoreProfile(p, at, keys, stored, durable){
+  if(profiles.list.some(o=>o.id === p.id)) return true;
   try{
-    const raw = localStorage.getItem(STORAGE_KEY + '_inv');
-    if(raw){
-      const data = JSON.parse(raw);
-      // support old format (inventory object) and new format { inventory, captureCounter }
-      if(data && typeof data === 'object'){
-        if(data.inventory){
-          inventory = { ...inventory, ...data.inventory };
-          captureCounter = data.captureCounter || captureCounter;
-        } else {
-          // old format
-          inventory = { ...inventory, ...data };
-        }
-      }
-    }
-  }catch(e){ }
-  renderInventory();
+    keys.forEach((k,i)=>{ if(stored[i] !== null) localStorage.setItem(k, stored[i]); });
+  }catch(e){
+    console.warn('restoreProfile failed', e);
+    keys.forEach(k=>{ try{ localStorage.removeItem(k); }catch(e2){} });
+    setToast(tr('profile.restoreFailed'), 3000);
+    return true;
+  }
+  durable.then(([doc, snaps])=>{
+    if(doc) putDurableSave(profileKey(SAVE_KEY, p.id), doc);
+    if(snaps.length){ snapshotMemory[snapshotKey(p.id)] = snaps; putDurableSave(snapshotKey(p.id), snaps); }
+  });
+  profiles.list.splice(Math.min(at, profiles.list.length), 0, p);
+  saveProfiles(); renderProfiles();
+  setToast(tr('profile.restored', { name: profileName(p) }));
+  return true;
+}
+
+function renderProfiles(){
+  if(profileNameEl) profileNameEl.textContent = profileName(activeProfile());
+  if(!profilePanelEl) return;
+  profilePanelEl.innerHTML = profiles.list.map(p=>`<div class="profile-row${p.id === profiles.active ? ' active' : ''}">
+      <button class="profile-switch" data-profile="${p.id}" data-action="switch" ${p.id === profiles.active ? 'disabled' : ''}>${escapeHtml(profileName(p))}</button>
+      <button data-profile="${p.id}" data-action="rename" title="${tr('profile.rename')}">✏️</button>
+      <button data-profile="${p.id}" data-action="duplicate" title="${tr('profile.duplicate')}">⧉</button>
+      <button data-profile="${p.id}" data-action="delete" title="${tr('profile.delete')}" ${profiles.list.length < 2 ? 'disabled' : ''}>🗑</button>
+    </div>`).join('') + `<button id="profile-new">${tr('profile.new')}</button>`;
 }
 
+function onProfileClick(e){
+  if(e.target.closest('#profile-new')) return createProfile();
+  const btn = e.target.closest('[data-action]');
+  if(!btn) return;
+  const id = btn.dataset.profile;
+  if(btn.dataset.action === 'switch') switchProfile(id);
+  else if(btn.dataset.action === 'rename') renameProfile(id);
+  else if(btn.dataset.action === 'duplicate') duplicateProfile(id);
+  else if(btn.dataset.action === 'delete') deleteProfile(id);
+}
+
+function ballIcon(color){
+  return `<svg class="ball-icon" viewBox="0 0 100 100" width="20" height="20" aria-hidden="true">
+    <circle cx="50" cy="50" r="45" fill="#fff" stroke="#222" stroke-width="4"/>
+    <path d="M5 50a45 45 0 0 0 90 0" fill="${color}" />
+    <circle cx="50" cy="50" r="12" fill="#fff" stroke="#222" stroke-width="3" />
+    <circle cx="50" cy="50" r="5" fill="#222" />
+  </svg>`;
+}
+
+function ballCount(id){ return inventory[id] === -1 ? Infinity : (inventory[id] || 0); }
+
+// inventory chips, the ball selector and the mart are all generated from BALL_CATALOGUE
 function renderInventory(){
-  if(!ballInventoryEl) return;
-  const p = inventory.pokeball === -1 ? '∞' : String(inventory.pokeball||0);
-  if(countPokeballEl) countPokeballEl.textContent = p;
-  if(countGreatEl) countGreatEl.textContent = String(inventory.greatball||0);
-  if(countUltraEl) countUltraEl.textContent = String(inventory.ultraball||0);
-  // disable visuals when zero
-  const ballEl = el('ball-greatball'); if(ballEl) ballEl.setAttribute('aria-disabled', (inventory.greatball||0) <= 0 ? 'true' : 'false');
-  const ultraEl = el('ball-ultraball'); if(ultraEl) ultraEl.setAttribute('aria-disabled', (inventory.ultraball||0) <= 0 ? 'true' : 'false');
-  // show/hide infinite badge for pokeball
-  try{
-    const inf = document.querySelector('#ball-pokeball .infinite-badge');
-    if(inf) inf.style.display = (inventory.pokeball === -1) ? 'inline-flex' : 'none';
-  }catch(e){}
+  if(moneyEl) moneyEl.textContent = formatMoney(money);
+  if(ballInventoryEl){
+    ballInventoryEl.innerHTML = BALL_CATALOGUE.filter(b=>b.id === 'pokeball' || inventory[b.id] !== undefined).map(b=>{
+      const n = ballCount(b.id);
+      return `<div class="ball-item" data-ball="${b.id}" title="${ballName(b.id)} — ${ballInfo(b.id)}" aria-disabled="${n <= 0}">
+        ${ballIcon(b.color)}
+        <span class="ball-count">${n === Infinity ? '∞' : n}</span>
+        ${n === Infinity ? '<span class="infinite-badge" aria-hidden="true">∞</span>' : ''}
+      </div>`;
+    }).join('');
+  }
+  if(ballSelect){
+    const selected = ballSelect.value;
+    const usable = BALL_CATALOGUE.filter(b=>ballCount(b.id) > 0);
+    ballSelect.innerHTML = usable.map(b=>`<option value="${b.id}">${ballName(b.id)}${ballCount(b.id) === Infinity ? '' : ` (${ballCount(b.id)})`}</option>`).join('');
+    // keep the player's choice while they still have that ball
+    ballSelect.value = usable.some(b=>b.id === selected) ? selected : 'pokeball';
+  }
+  renderMart();
+  updateCatchOdds();
+}
+
+function renderMart(){
+  if(!martEl) return;
+  martEl.innerHTML = BALL_CATALOGUE.filter(b=>b.price).map(b=>`<div class="mart-item">
+      ${ballIcon(b.color)}
+      <div class="mart-info"><strong>${ballName(b.id)}</strong><small>${ballInfo(b.id)}</small></div>
+      <span class="mart-price">${formatMoney(b.price)}</span>
+      <button data-buy="${b.id}" data-qty="1" ${money < b.price ? 'disabled' : ''}>${tr('mart.buy')}</button>
+      <button data-buy="${b.id}" data-qty="10" ${money < b.price*10 ? 'disabled' : ''}>×10</button>
+    </div>`).join('');
+}
+
+function buyBall(id, qty){
+  const ball = BALLS[id];
+  if(!ball || !ball.price) return;
+  const cost = ball.price * qty;
+  if(money < cost) return setToast(tr('mart.noMoney'));
+  money -= cost;
+  inventory[id] = (inventory[id] || 0) + qty;
+  logAction('buy', { ball:id, qty });
+  saveInventory();
+  setToast(tr('mart.bought', { qty, ball: ballName(id), price: formatMoney(cost) }));
 }
 
 function updateStats(){
-  const caught = Object.values(pokedex).filter(p=>p.caught).length;
-  const leg = Object.values(pokedex).filter(p=>p.is_legendary && p.caught).length;
+  // counts are scoped to the active regions
+  const inPool = speciesPool.map(id=>pokedex[id]).filter(p=>p && p.caught);
+  const caught = inPool.length;
+  const leg = inPool.filter(p=>p.is_legendary).length;
   if(caughtCountEl) caughtCountEl.textContent = caught;
   if(legendaryCountEl) legendaryCountEl.textContent = leg;
   // ensure total count is visible
-  if(totalCountEl) totalCountEl.textContent = allCount;
-  const pct = Math.round((caught / Math.max(1, allCount)) * 100);
+  if(totalCountEl) totalCountEl.textContent = speciesPool.length;
+  renderRegionProgress();
+  renderShinyProgress(inPool.filter(p=>p.shiny).length);
+  checkUnlocks();
+  const pct = Math.round((caught / Math.max(1, speciesPool.length)) * 100);
   // update progress bar if present; be defensive
   try{
     if(progressBar){ progressBar.style.transition = progressBar.style.transition || 'width 420ms ease'; progressBar.style.width = pct + '%'; }
@@ -236,26 +1190,8 @@ function updateStats(){
 
 function renderPokedex(){
   const pageSize = parseInt(pageSizeEl.value,10)||48;
-  const query = searchEl.value.trim().toLowerCase();
-  const type = typeFilter.value;
-
-  // build list of numbers
-  let ids = Array.from({length:allCount}, (_,i)=>i+1);
-
-  if(query){
-    ids = ids.filter(id=>{
-      const p = pokedex[id];
-      if(p && p.name) return p.name.toLowerCase().includes(query) || String(id)===query;
-      return String(id).includes(query);
-    });
-  }
-  if(type){
-    ids = ids.filter(id=>{
-      const p = pokedex[id];
-      if(!p) return false;
-      return (p.types||[]).includes(type);
-    });
-  }
+  const ids = sortDexIds(filterDexIds(speciesPool, dexFilter), dexFilter);
+  if(dexResultCountEl) dexResultCountEl.textContent = ids.length;
 
   const totalPages = Math.max(1, Math.ceil(ids.length / pageSize));
   if(page>totalPages) page = totalPages;
@@ -265,272 +1201,848 @@ function renderPokedex(){
   const start = (page-1)*pageSize; const end = start + pageSize;
   const slice = ids.slice(start,end);
 
-  pokedexEl.innerHTML = '';
+  pokedexEl.innerHTML = ids.length ? '' : `<p class="dex-empty">${tr('dex.empty')}</p>`;
   slice.forEach(id=>{
     const item = document.createElement('div');
     item.className = 'dex-cell';
+    item.dataset.id = id;
+    item.tabIndex = -1; // roving: one cell per page is in the tab order, arrows move between them
+    item.setAttribute('role', 'button');
     const p = pokedex[id];
+    item.setAttribute('aria-label', p && p.caught ? `#${id} ${pokemonName(id, p.name)}${p.shiny ? ` (${tr('filter.shiny')})` : ''}` : `#${id} ${tr('a11y.notCaught')}`);
     if(!p || !p.caught){ item.classList.add('empty'); item.innerHTML = `#${id}`; }
     else{
       item.classList.add('captured');
-      const img = p.sprite ? `<img class="pixel" src="${p.sprite}" alt="${p.name}" />` : '';
-      const shinyBadge = p.shiny ? `<div class="shiny-badge">Shiny</div>` : '';
-      const date = p.capturedAt ? `<div class="captured-date">${new Date(p.capturedAt).toLocaleDateString()}</div>` : '';
-      item.innerHTML = `<div style="position:relative">${img}${shinyBadge}</div><div style="font-weight:600">${p.name}</div><div style="font-size:11px;color:#666">#${id}</div>${date}`;
+      const sprite = (p.shiny && p.shinySprite) || p.sprite;
+      const name = escapeHtml(pokemonName(id, p.name));
+      const img = sprite ? `<img class="pixel" src="${sprite}" alt="${name}" />` : '';
+      const shinyBadge = p.shiny ? `<div class="shiny-badge">${tr('filter.shiny')}</div>` : '';
+      const date = p.capturedAt ? `<div class="captured-date">${formatDate(p.capturedAt)}</div>` : '';
+      const candies = candy[candyFamily(pokedex, id)];
+      const candyBadge = candies ? `<div class="candy-count">🍬 ${candies}</div>` : '';
+      item.innerHTML = `<div style="position:relative">${img}${shinyBadge}</div><div style="font-weight:600">${name}</div><div style="font-size:11px;color:#666">#${id}</div>${date}${candyBadge}`;
     }
     item.addEventListener('click', ()=> showPokemon(id));
     pokedexEl.appendChild(item);
   });
+  const firstCell = pokedexEl.querySelector('.dex-cell');
+  if(firstCell) firstCell.tabIndex = 0;
+  loadSpeciesNames(slice.filter(id=>pokedex[id] && pokedex[id].caught));
+  writeDexHash();
+}
+
+// Arrow keys move between cells (and across pages at the edges), Home/End jump within the
+// page, PageUp/PageDown turn it, Enter or Space opens the Pokémon.
+function onDexKeydown(e){
+  const cell = e.target.closest('.dex-cell');
+  if(!cell) return;
+  const cells = Array.from(pokedexEl.querySelectorAll('.dex-cell'));
+  const i = cells.indexOf(cell);
+  // columns: the cells sharing the first row
+  const cols = cells.filter(c=>c.offsetTop === cells[0].offsetTop).length || 1;
+  const pages = parseInt(pageTotalEl.textContent, 10) || 1;
+  const moves = { ArrowRight:1, ArrowLeft:-1, ArrowDown:cols, ArrowUp:-cols, Home:-i, End:cells.length-1-i };
+  if(e.key === 'Enter' || e.key === ' '){ e.preventDefault(); showPokemon(parseInt(cell.dataset.id, 10)); return; }
+  if(e.key === 'PageDown' || e.key === 'PageUp'){
+    e.preventDefault();
+    const next = page + (e.key === 'PageDown' ? 1 : -1);
+    if(next >= 1 && next <= pages){ page = next; renderPokedex(); focusDexCell(0); }
+    return;
+  }
+  if(!(e.key in moves)) return;
+  e.preventDefault();
+  const next = i + moves[e.key];
+  if(next < 0 && page > 1){ page--; renderPokedex(); focusDexCell(-1); }
+  else if(next >= cells.length && page < pages){ page++; renderPokedex(); focusDexCell(0); }
+  else focusDexCell(Math.max(0, Math.min(cells.length-1, next)));
+}
+
+// -1 is the last cell
+function focusDexCell(index){
+  const cells = Array.from(pokedexEl.querySelectorAll('.dex-cell'));
+  const cell = index < 0 ? cells[cells.length-1] : cells[Math.min(index, cells.length-1)];
+  if(!cell) return;
+  cells.forEach(c=>{ c.tabIndex = -1; });
+  cell.tabIndex = 0;
+  cell.focus();
+}
+
+// --- Pokédex filters ---
+// The filter model is the source of truth; the search box, the filter panel and the URL
+// hash are views of it. Query syntax: `type:fire !caught 1-151 sort:-date pika`.
+const DEX_FLAGS = ['caught', 'shiny', 'legendary']; // labels: filter.<flag>
+const DEX_SORTS = ['number', 'name', 'date'];        // labels: sort.<key>
+
+function defaultDexFilter(){
+  return { text:'', caught:null, shiny:null, legendary:null, types:[], typeMode:'and', from:null, to:null, sort:'number', desc:false };
+}
+let dexFilter = defaultDexFilter();
+
+function parseDexQuery(query){
+  const f = defaultDexFilter();
+  const words = [];
+  String(query || '').toLowerCase().split(/\s+/).filter(Boolean).forEach(tok=>{
+    let m;
+    if((m = tok.match(/^(!?)(caught|shiny|legendary)$/))) f[m[2]] = !m[1];
+    else if((m = tok.match(/^type:([a-z]+(?:[+|][a-z]+)*)$/)) && m[1].split(/[+|]/).every(t=>TYPE_NAMES.includes(t))){
+      f.types = Array.from(new Set([...f.types, ...m[1].split(/[+|]/)]));
+      if(m[1].includes('|')) f.typeMode = 'or';
+    }
+    else if((m = tok.match(/^#?(\d+)$/))) f.from = f.to = parseInt(m[1], 10);
+    else if((m = tok.match(/^(\d*)-(\d*)$/)) && (m[1] || m[2])){
+      const a = m[1] ? parseInt(m[1], 10) : null, b = m[2] ? parseInt(m[2], 10) : null;
+      [f.from, f.to] = a !== null && b !== null && a > b ? [b, a] : [a, b];
+    }
+    else if((m = tok.match(/^sort:(-?)(number|name|date)$/))){ f.sort = m[2]; f.desc = !!m[1]; }
+    else words.push(tok); // unknown filters fall through to the name search
+  });
+  f.text = words.join(' ');
+  return f;
+}
+
+function formatDexQuery(f){
+  const tokens = [];
+  if(f.types.length) tokens.push(`type:${f.types.join(f.typeMode === 'or' ? '|' : '+')}`);
+  DEX_FLAGS.forEach(k=>{ if(f[k] !== null) tokens.push(`${f[k] ? '' : '!'}${k}`); });
+  if(f.from !== null && f.from === f.to) tokens.push(`#${f.from}`);
+  else if(f.from !== null || f.to !== null) tokens.push(`${f.from ?? ''}-${f.to ?? ''}`);
+  if(f.sort !== 'number' || f.desc) tokens.push(`sort:${f.desc ? '-' : ''}${f.sort}`);
+  if(f.text) tokens.push(f.text);
+  return tokens.join(' ');
+}
+
+// type rosters cover species never seen; the dex entry is the fallback while they load
+function hasType(id, t){
+  if(typeRosters[t]) return typeRosters[t].includes(id);
+  const p = pokedex[id];
+  return !!(p && (p.types||[]).includes(t));
+}
+
+function filterDexIds(ids, f){
+  return ids.filter(id=>{
+    const p = pokedex[id] || {};
+    if(f.from !== null && id < f.from) return false;
+    if(f.to !== null && id > f.to) return false;
+    if(f.caught !== null && !!p.caught !== f.caught) return false;
+    if(f.shiny !== null && !!(p.caught && p.shiny) !== f.shiny) return false;
+    if(f.legendary !== null && !!p.is_legendary !== f.legendary) return false;
+    if(f.types.length && !(f.typeMode === 'or' ? f.types.some(t=>hasType(id, t)) : f.types.every(t=>hasType(id, t)))) return false;
+    if(f.text && ![p.name, p.name && pokemonName(id, p.name)].some(n=>n && n.toLowerCase().includes(f.text))) return false;
+    return true;
+  });
+}
+
+// unknown names and capture dates sort last in either direction
+function sortDexIds(ids, f){
+  const key = id=>{
+    const p = pokedex[id];
+    if(f.sort === 'name') return p && p.name ? pokemonName(id, p.name).toLowerCase() : null;
+    if(f.sort === 'date') return p && p.caught && p.capturedAt ? Date.parse(p.capturedAt) : null;
+    return id;
+  };
+  const dir = f.desc ? -1 : 1;
+  return ids.map(id=>({ id, k: key(id) })).sort((a,b)=>{
+    if(a.k === null || b.k === null) return (a.k === null) - (b.k === null) || a.id - b.id;
+    return (a.k < b.k ? -1 : a.k > b.k ? 1 : a.id - b.id) * dir;
+  }).map(x=>x.id);
+}
+
+function renderDexFilters(){
+  if(!dexFiltersEl) return;
+  const f = dexFilter;
+  const flag = k => `<label>${tr(`filter.${k}`)}: <select data-flag="${k}">
+      <option value="" ${f[k] === null ? 'selected' : ''}>${tr('filter.any')}</option>
+      <option value="yes" ${f[k] === true ? 'selected' : ''}>${tr('filter.yes')}</option>
+      <option value="no" ${f[k] === false ? 'selected' : ''}>${tr('filter.no')}</option></select></label>`;
+  dexFiltersEl.innerHTML = `<div class="dex-filter-row">${DEX_FLAGS.map(flag).join('')}</div>
+    <div class="dex-filter-row">${tr('filter.types')} <select data-field="typeMode">
+        <option value="and" ${f.typeMode === 'and' ? 'selected' : ''}>${tr('filter.typeAnd')}</option>
+        <option value="or" ${f.typeMode === 'or' ? 'selected' : ''}>${tr('filter.typeOr')}</option></select>
+      <div class="dex-type-list">${TYPE_NAMES.map(t=>`<label><input type="checkbox" data-type="${t}" ${f.types.includes(t) ? 'checked' : ''}> ${escapeHtml(typeLabel(t))}</label>`).join('')}</div></div>
+    <div class="dex-filter-row">
+      <label>${tr('filter.from')} <input type="number" min="1" data-field="from" value="${f.from ?? ''}"></label>
+      <label>${tr('filter.to')} <input type="number" min="1" data-field="to" value="${f.to ?? ''}"></label>
+      <label>${tr('filter.sortBy')} <select data-field="sort">${DEX_SORTS.map(k=>`<option value="${k}" ${f.sort === k ? 'selected' : ''}>${tr(`sort.${k}`)}</option>`).join('')}</select></label>
+      <label><input type="checkbox" data-field="desc" ${f.desc ? 'checked' : ''}> ${tr('filter.desc')}</label>
+      <button id="dex-filter-clear">${tr('filter.clear')}</button>
+    </div>`;
+}
+
+// the panel edits the model and rewrites the search box as a query
+function onDexFilterChange(){
+  const f = { ...dexFilter };
+  dexFiltersEl.querySelectorAll('[data-flag]').forEach(s=>{ f[s.dataset.flag] = s.value === '' ? null : s.value === 'yes'; });
+  f.types = Array.from(dexFiltersEl.querySelectorAll('[data-type]:checked')).map(c=>c.dataset.type);
+  f.typeMode = dexFiltersEl.querySelector('[data-field="typeMode"]').value;
+  ['from','to'].forEach(k=>{ const n = parseInt(dexFiltersEl.querySelector(`[data-field="${k}"]`).value, 10); f[k] = n > 0 ? n : null; });
+  f.sort = dexFiltersEl.querySelector('[data-field="sort"]').value;
+  f.desc = dexFiltersEl.querySelector('[data-field="desc"]').checked;
+  dexFilter = f;
+  searchEl.value = formatDexQuery(f);
+  page = 1;
+  renderPokedex();
+}
+
+// #q=<query>&page=2&size=96
+function readDexHash(){
+  const params = new URLSearchParams(location.hash.slice(1));
+  const q = params.get('q') || '';
+  dexFilter = parseDexQuery(q);
+  searchEl.value = q;
+  const size = params.get('size');
+  if(size && Array.from(pageSizeEl.options).some(o=>o.value === size)) pageSizeEl.value = size;
+  page = Math.max(1, parseInt(params.get('page'), 10) || 1);
+}
+
+function writeDexHash(){
+  const params = new URLSearchParams();
+  const q = formatDexQuery(dexFilter);
+  if(q) params.set('q', q);
+  if(page > 1) params.set('page', page);
+  if(pageSizeEl.value !== '48') params.set('size', pageSizeEl.value);
+  const hash = params.toString() ? `#${params}` : '';
+  if(hash === location.hash) return;
+  // replaceState: typing in the search box should not flood the back button
+  try{ history.replaceState(null, '', `${location.pathname}${location.search}${hash}`); }catch(e){}
+}
+
+// --- localized names ---
+// Saves and the history keep the canonical (English) name; the screen shows the name from
+// the species' PokéAPI `names` once it is loaded. PokéAPI has no Portuguese names, so in
+// pt-BR species fall back to English and types to the catalogue.
+const speciesNames = {}; // { dex id: PokéAPI names[] }
+const typeNames = {};    // { type: PokéAPI names[] }
+const requestedNames = new Set(); // ids fetched (or failed) once, never retried
+
+function rememberSpeciesNames(species){ if(species && species.id && species.names) speciesNames[species.id] = species.names; }
+
+function pokemonName(id, fallback){
+  const hit = localized(speciesNames[id]);
+  return hit ? hit.name : fallback || `#${id}`;
+}
+
+function typeLabel(t){
+  const hit = localized(typeNames[t], true);
+  if(hit) return hit.name;
+  const label = tr(`type.${t}`);
+  return label === `type.${t}` ? capitalize(t) : label;
+}
+
+// loads names for dex cells in the background and re-renders once they arrive
+async function loadSpeciesNames(ids){
+  const missing = ids.filter(id=>!speciesNames[id] && !requestedNames.has(id));
+  if(!missing.length) return;
+  missing.forEach(id=>requestedNames.add(id));
+  await Promise.all(missing.map(id=>fetchSpecies(id).then(rememberSpeciesNames, ()=>{})));
+  if(missing.some(id=>speciesNames[id])) renderPokedex();
+}
+
+function encounterCount(id){ return encountered[id] || 0; }
+
+// as in the games: caught = full entry, seen = name/types/silhouette, unknown = ???
+function speciesSeen(id){
+  return !!(pokedex[id] && pokedex[id].caught) || encounterCount(id) > 0 || encounters.some(enc=>enc.id === id);
 }
 
 async function showPokemon(id){
   // ensure we have data
+  let data, species;
+  try{
+    data = await fetchPokemon(id);
+    species = await fetchSpecies(data.species.url);
+  }catch(e){ setToast(tr('detail.loadError')); return; }
+  rememberSpeciesNames(species);
   if(!pokedex[id]){
-    try{
-      const data = await fetchPokemon(id);
-      pokedex[id] = { id: data.id, name: capitalize(data.name), types: data.types.map(t=>t.type.name), caught:false, is_legendary:false };
-      // fetch species to get legendary flag
-      const species = await (await fetch(data.species.url)).json();
-      pokedex[id].is_legendary = !!species.is_legendary;
-      save();
-    }catch(e){ setToast('Erro ao carregar Pokémon'); return; }
+    pokedex[id] = { id: data.id, name: capitalize(data.name), types: data.types.map(t=>t.type.name), caught:false, is_legendary: !!species.is_legendary };
+    save();
   }
 
   const p = pokedex[id];
-  modalBody.innerHTML = `<h3>${p.name} <small style="color:#666">#${id}</small></h3>
-    <div class="poke-types">${(p.types||[]).map(t=>`<span class="badge">${t}</span>`).join('')}</div>
-    <div style="margin-top:8px">${p.is_legendary?'<strong>Este é lendário</strong>':''}</div>`;
-  modal.setAttribute('aria-hidden','false');
+  const timesSeen = encounterCount(id);
+  const seen = speciesSeen(id);
+  const name = seen ? pokemonName(id, p.name) : '???';
+  const sprite = (p.shiny && p.shinySprite) || data.sprites.front_default;
+
+  let evolution = '';
+  try{
+    const chain = species.evolution_chain ? await fetchEvolutionChain(species.evolution_chain.url) : null;
+    const nodes = chain ? flattenEvolutionChain(chain.chain) : [];
+    // branching chains (Eevee) list one button per target and the player picks
+    const options = p.caught ? nodes.filter(n=>n.from === id) : [];
+    const evolveButtons = options.map(n=>{
+      const cost = evolutionCost(n);
+      const owned = !!(pokedex[n.id] && pokedex[n.id].caught);
+      return `<button class="evo-action" data-evolve="${n.id}" ${owned || (candy[candyFamily(pokedex, id)]||0) < cost ? 'disabled' : ''}>
+        ${tr('detail.evolveTo', { name: escapeHtml(pokemonName(n.id, capitalize(n.name))), cost })}${owned ? tr('detail.alreadyOwned') : ''}</button>`;
+    }).join('');
+    if(nodes.length > 1){
+      evolution = `<h4>${tr('detail.evolution')}</h4><div class="evo-chain">${nodes.map(n=>{
+        const e = pokedex[n.id];
+        const caught = !!(e && e.caught);
+        return `<button class="evo-stage${caught ? ' caught' : ''}${n.id === id ? ' current' : ''}" data-id="${n.id}" style="margin-left:${n.depth * 16}px">
+          ${n.depth ? '↳ ' : ''}#${n.id} ${caught || n.id === id && seen ? escapeHtml(pokemonName(n.id, (e && e.name) || capitalize(n.name))) : '???'} ${caught ? '✓' : ''}</button>`;
+      }).join('')}</div>${evolveButtons ? `<div class="evo-actions">${evolveButtons}</div>` : ''}`;
+    }
+  }catch(e){ /* chain is optional detail */ }
+
+  const stats = (data.stats||[]).map(st=>`<div class="stat-row"><span>${tr(`stat.${st.stat.name}`)}</span>
+      <div class="progress"><i style="width:${Math.round(Math.min(255, st.base_stat) / 255 * 100)}%"></i></div><strong>${st.base_stat}</strong></div>`).join('');
+  const abilities = (data.abilities||[]).map(a=>`<span class="badge">${a.is_hidden ? tr('detail.hiddenAbility', { name: capitalize(a.ability.name.replace(/-/g,' ')) }) : capitalize(a.ability.name.replace(/-/g,' '))}</span>`).join('');
+  const flavor = localized(species.flavor_text_entries);
+  const cry = data.cries && (data.cries.latest || data.cries.legacy);
+
+  modalBody.innerHTML = `<div class="detail-head">
+      <img class="detail-sprite${p.caught ? '' : ' silhouette'}" src="${seen && sprite ? sprite : ''}" alt="${escapeHtml(name)}" ${seen && sprite ? '' : 'hidden'}>
+      <div>
+        <h3>${escapeHtml(name)} <small style="color:#666">#${id}</small></h3>
+        ${seen ? `<div class="poke-types">${(p.types||[]).map(t=>`<span class="badge">${escapeHtml(typeLabel(t))}</span>`).join('')}</div>` : ''}
+        <div style="margin-top:8px">${p.is_legendary && seen ?`<strong>${tr('detail.legendary')}</strong>`:''}</div>
+        ${p.caught && cry ? `<button id="modal-cry" style="margin-top:8px">${tr('detail.cry')}</button>` : ''}
+      </div>
+    </div>
+    ${p.caught ? `
+      <div class="detail-grid">
+        <div><h4>${tr('detail.baseStats')}</h4>${stats}</div>
+        <div>
+          <h4>${tr('detail.abilities')}</h4><div>${abilities}</div>
+          <h4>${tr('detail.size')}</h4><div>${tr('detail.sizeValue', { height: (data.height/10).toFixed(1), weight: (data.weight/10).toFixed(1) })}</div>
+          ${flavor ? `<h4>${tr('detail.description')}</h4><p class="flavor">${escapeHtml(flavor.flavor_text.replace(/[\f\n\r]+/g,' '))}</p>` : ''}
+        </div>
+      </div>` : `<p class="detail-hidden">${tr('detail.locked')}</p>`}
+    ${evolution}
+    <h4>${tr('detail.yourData')}</h4>
+    <div class="player-data">
+      <span class="badge">${tr('detail.firstCapture', { date: p.capturedAt ? formatDate(p.capturedAt) : '—' })}</span>
+      <span class="badge">${tr('detail.encounters', { n: timesSeen })}</span>
+      <span class="badge">${tr('detail.candy', { n: candy[candyFamily(pokedex, id)] || 0 })}</span>
+      ${p.obtainedBy === 'evolution' ? `<span class="badge">${p.evolvedFrom && pokedex[p.evolvedFrom] ? tr('detail.byEvolutionFrom', { name: escapeHtml(pokemonName(p.evolvedFrom, pokedex[p.evolvedFrom].name)) }) : tr('detail.byEvolution')}</span>` : ''}
+      ${p.shiny ? `<span class="badge unlocked">${tr('detail.shinyCaught', { date: p.shinyCapturedAt ? formatDate(p.shinyCapturedAt) : '' })}</span>` : `<span class="badge">${tr('detail.shinyNo')}</span>`}
+    </div>
+    <div style="margin-top:8px">
+      ${hunt.target === id ? `<span class="badge">${tr('detail.huntActive', { chain: hunt.chain })}</span>` : `<button id="modal-hunt" ${canHunt(id) ? '' : `disabled title="${tr('hunt.unavailable')}"`}>${tr('detail.huntStart')}</button>`}</div>`;
+  openModal();
+  const huntBtn = el('modal-hunt');
+  if(huntBtn) huntBtn.addEventListener('click', userAction(()=>{ startHunt(id, p.name); closeModal(); }));
+  const cryBtn = el('modal-cry');
+  if(cryBtn) cryBtn.addEventListener('click', ()=>{ try{ new Audio(cry).play().catch(()=>setToast(tr('detail.cryError'))); }catch(e){} });
+  modalBody.querySelectorAll('[data-evolve]').forEach(b=>b.addEventListener('click', userAction(async ()=>{
+    b.disabled = true;
+    const to = parseInt(b.dataset.evolve, 10);
+    if(await evolvePokemon(id, to)) showPokemon(to);
+    else b.disabled = false;
+  })));
+  modalBody.querySelectorAll('.evo-stage').forEach(b=>b.addEventListener('click', ()=>{
+    const next = parseInt(b.dataset.id, 10);
+    if(next !== id) showPokemon(next);
+  }));
 }
 
-async function populateTypeFilter(){
+// --- evolution by candy ---
+// spends the family's candy and registers the evolved species as caught
+async function evolvePokemon(fromId, toId){
+  const from = pokedex[fromId];
+  if(!from || !from.caught){ setToast(tr('evolve.notOwned')); return false; }
+  if(pokedex[toId] && pokedex[toId].caught){ setToast(tr('evolve.alreadyOwned')); return false; }
+  let node, data, species;
   try{
-    const res = await fetch(`${API_BASE}/type`);
-    const data = await res.json();
-    const types = data.results.map(r=>r.name).filter(n=>n!=='unknown' && n!=='shadow');
-    types.forEach(t=>{
-      const opt = document.createElement('option'); opt.value = t; opt.textContent = capitalize(t); typeFilter.appendChild(opt);
-    });
-  }catch(e){ /* ignore */ }
+    const fromSpecies = await fetchSpecies(fromId);
+    const chain = await fetchEvolutionChain(fromSpecies.evolution_chain.url);
+    node = flattenEvolutionChain(chain.chain).find(n=>n.id === toId && n.from === fromId);
+    if(node){ data = await fetchPokemon(toId); species = await fetchSpecies(data.species.url); rememberSpeciesNames(species); }
+  }catch(e){ setToast(tr('evolve.loadError')); return false; }
+  if(!node){ setToast(tr('evolve.invalid', { name: pokemonName(fromId, from.name), id: toId })); return false; }
+  const cost = evolutionCost(node);
+  const have = candy[candyFamily(pokedex, fromId)] || 0;
+  if(have < cost){ setToast(tr('evolve.noCandy', { have, cost })); return false; }
+
+  logAction('evolve', { from: fromId, to: toId });
+  const name = capitalize(data.name);
+  const game = { pokedex, captureCounter, money, candy };
+  registerEvolution(game, fromId, { id: toId, name, types: data.types.map(t=>t.type.name), is_legendary: !!species.is_legendary, sprite: data.sprites.front_default }, cost);
+  captureCounter = game.captureCounter;
+  recordEvent('evolve', { id: toId, name, from: fromId });
+  save(); renderPokedex();
+  setToast(tr('evolve.done', { from: pokemonName(fromId, from.name), to: pokemonName(toId, name) }));
+  checkAchievements();
+  return true;
+}
+
+// --- encounter state machine ---
+// idle -> loading -> active -> throwing -> caught | fled -> active (horde) | loading (follow-up)
+// Encounter requests made while busy are queued and run once the screen settles.
+const ENCOUNTER_TRANSITIONS = {
+  idle: ['loading'],
+  loading: ['active', 'idle'],
+  active: ['loading', 'throwing', 'fled'],
+  throwing: ['caught', 'fled'],
+  caught: ['active', 'loading'],
+  fled: ['active', 'loading'],
+};
+const ENCOUNTER_QUEUE_MAX = 3;
+const ENCOUNTER_LOAD_TIMEOUT_MS = 6000; // a stalled request must not leave the screen in 'loading'
+const HORDE_MAX = 3;
+
+function encounterBusy(){ return !['idle','active'].includes(encounterState); }
+
+function setEncounterState(next){
+  if(!ENCOUNTER_TRANSITIONS[encounterState].includes(next)){
+    console.warn(`encounter: ignoring ${encounterState} -> ${next}`);
+    return false;
+  }
+  encounterState = next;
+  renderEncounter();
+  if(!encounterBusy()) Promise.resolve().then(drainEncounterQueue);
+  return true;
+}
+
+// recovery path when a resolution step throws: settle on whatever is still on screen
+function resetEncounterState(){
+  encounterState = encounters.length ? 'active' : 'idle';
+  renderEncounter();
 }
 
-async function encounterRandom(){
-  // prevent concurrent encounter fetches
-  if(isFetchingEncounter) return;
-  isFetchingEncounter = true;
-  // pick a random id within allCount
-  const id = Math.floor(Math.random()*allCount)+1;
+function activeEncounter(){ return encounters[selectedEncounter] || null; }
+
+function requestEncounter(count){
+  if(!encounterBusy()) return encounterRandom({ count });
+  if(encounterQueue.length >= ENCOUNTER_QUEUE_MAX) return setToast(tr('encounter.queueFull'));
+  encounterQueue.push({ count });
+  renderEncounter();
+}
+
+function drainEncounterQueue(){
+  if(encounterBusy() || !encounterQueue.length) return;
+  encounterRandom(encounterQueue.shift());
+}
+
+function selectEncounter(index){
+  if(encounterState !== 'active' || !encounters[index]) return;
+  selectedEncounter = index;
+  renderEncounter();
+}
+
+// Rolls species and shiny for one slot. Every slot is rolled before any fetch
+// so the roll order never depends on the network.
+function rollEncounter(weights){
+  // shiny chance: base 1 in 300, improved by unlocked modifiers and, for the hunt target, the chain
+  const roll = rollEncounterFor(rng, { pool: speciesPool, target: hunt.target, shinyRolls: shinyRollsFor({ unlocks }), targetShinyRolls: shinyRolls(), weights });
+  if(hunt.target && roll.id === hunt.target){ hunt.chain++; hunt.best = Math.max(hunt.best, hunt.chain); }
+  return roll;
+}
+
+async function loadEncounter({ id, isShinyRoll }){
+  const data = await fetchPokemon(id);
+  const hasShinySprite = data.sprites && data.sprites.front_shiny;
+  const isShiny = isShinyRoll && !!hasShinySprite;
+  const sprite = isShiny ? data.sprites.front_shiny : data.sprites.front_default;
+  // try to detect legendary status from species (best-effort)
+  let isLegendary = false;
+  let captureRate = DEFAULT_CAPTURE_RATE;
+  let family = null;
+  let habitat = null;
+  try{
+    const s = await fetchSpecies(data.species.url);
+    rememberSpeciesNames(s);
+    isLegendary = !!s.is_legendary;
+    if(Number.isInteger(s.capture_rate)) captureRate = s.capture_rate;
+    habitat = s.habitat ? s.habitat.name : null;
+    if(s.evolution_chain) family = evolutionFamily((await fetchEvolutionChain(s.evolution_chain.url)).chain);
+  }catch(e){}
+  return { id: data.id, name: capitalize(data.name), sprite, types: data.types.map(t=>t.type.name), family, stats: data.stats, habitat, shiny: !!isShiny, is_legendary: isLegendary, capture_rate: captureRate, appearedAt: Date.now() };
+}
+
+// Replaces the wild Pokémon on screen with `count` new ones; more than one is a horde.
+async function encounterRandom(opts = {}){
+  const count = Math.max(1, Math.min(HORDE_MAX, opts.count || 1));
+  if(!setEncounterState('loading')) return;
+  // replays use the conditions that were logged; sessions from before the world layer had none
+  const world = replay ? replay.worlds.shift() || null : currentWorld();
+  const weights = world ? encounterWeights(world) : null;
+  const checksum = weights ? weightsChecksum(weights) : null;
+  if(replay){
+    // rolling with other weights would diverge; sessions from before the checksum have none
+    const expected = replay.checksums.shift();
+    if(expected !== undefined && expected !== checksum){ replay.dataChanged = true; setEncounterState('idle'); return; }
+  }
+  // follow-up encounters after a catch/flee are not player actions
+  logAction('encounter', { ...(count > 1 ? { count } : {}), ...(opts.auto ? { auto:true } : {}), ...(world ? { world, weights: checksum } : {}) });
+  const rolls = Array.from({ length: count }, ()=>rollEncounter(weights));
+  if(hunt.target){ save(); renderHunt(); }
   try{
-    const data = await fetchPokemon(id);
-    // shiny chance: 1 in 300
-    const isShinyRoll = Math.floor(Math.random() * 300) === 0;
-    const hasShinySprite = data.sprites && data.sprites.front_shiny;
-    const isShiny = isShinyRoll && !!hasShinySprite;
-    const sprite = isShiny ? data.sprites.front_shiny : data.sprites.front_default;
-    // try to detect legendary status from species (best-effort)
-    let isLegendary = false;
-    try{ const sres = await fetch(data.species.url); const s = await sres.json(); isLegendary = !!s.is_legendary; }catch(e){}
-    currentEncounter = { id: data.id, name: capitalize(data.name), sprite, types: data.types.map(t=>t.type.name), shiny: !!isShiny, is_legendary: isLegendary };
-    if(isShiny){ setToast(`${capitalize(data.name)} is shiny! ✨`, 3000); }
+    encounters = await withTimeout(Promise.all(rolls.map(loadEncounter)), ENCOUNTER_LOAD_TIMEOUT_MS);
+    selectedEncounter = 0;
+  }catch(e){
+    console.error('encounterRandom error', e);
+    setToast(tr('encounter.error'));
+    // the previous Pokémon (if any) are still there
+    setEncounterState(encounters.length ? 'active' : 'idle');
+    return;
+  }
+  encounters.forEach(enc=>recordEvent('encounter', { id: enc.id, name: enc.name, shiny: enc.shiny }));
+  if(!replay){ encounters.forEach(enc=>{ encountered[enc.id] = (encountered[enc.id] || 0) + 1; }); save(); }
+  setEncounterState('active');
+  announce(encounters.length > 1
+    ? tr('a11y.horde', { names: encounters.map(enc=>pokemonName(enc.id, enc.name) + (enc.shiny ? ' ✨' : '')).join(', ') })
+    : tr(encounters[0].shiny ? 'a11y.appearedShiny' : 'a11y.appeared', { name: pokemonName(encounters[0].id, encounters[0].name), types: encounters[0].types.map(typeLabel).join('/') }));
+  const shiny = encounters.find(enc=>enc.shiny);
+  if(shiny){
+    // if it's a shiny legendary, give a special note
+    const name = pokemonName(shiny.id, shiny.name);
+    setToast(tr(shiny.is_legendary ? 'encounter.shinyLegendary' : 'encounter.shiny', { name }), 3200);
+    selectedEncounter = encounters.indexOf(shiny);
     renderEncounter();
-    // show shiny visual if present
-    if(isShiny){
-      // if it's a shiny legendary, give a special note
-      if(currentEncounter.is_legendary){ setToast(`${currentEncounter.name} é um Lendário Shiny — captura garantida! ✨`, 3200); }
-      try{
-        const imgEl = pokeImage;
-        if(imgEl){ imgEl.classList.add('shiny-glow'); setTimeout(()=>imgEl.classList.remove('shiny-glow'),1400); }
-        // create confetti pieces inside the poke-img-wrapper
-        const wrapper = document.querySelector('.poke-img-wrapper');
-        if(wrapper){
-          for(let i=0;i<10;i++){
-            const pc = document.createElement('div'); pc.className = 'confetti-piece';
-            pc.style.left = (20 + Math.random()*120) + 'px';
-            pc.style.background = ['#ffd700','#ff6b6b','#6bc1ff','#a78bfa','#5eead4'][Math.floor(Math.random()*5)];
-            wrapper.appendChild(pc);
-            setTimeout(()=>pc.remove(),1400 + Math.random()*300);
-          }
+    if(!motionOff()) try{
+      const imgEl = pokeImage;
+      if(imgEl){ imgEl.classList.add('shiny-glow'); setTimeout(()=>imgEl.classList.remove('shiny-glow'),1400); }
+      // create confetti pieces inside the poke-img-wrapper
+      const wrapper = document.querySelector('.poke-img-wrapper');
+      if(wrapper){
+        for(let i=0;i<10;i++){
+          const pc = document.createElement('div'); pc.className = 'confetti-piece';
+          pc.style.left = (20 + Math.random()*120) + 'px';
+          pc.style.background = ['#ffd700','#ff6b6b','#6bc1ff','#a78bfa','#5eead4'][Math.floor(Math.random()*5)];
+          wrapper.appendChild(pc);
+          setTimeout(()=>pc.remove(),1400 + Math.random()*300);
         }
-      }catch(e){}
-    }
-  }catch(e){ console.error('encounterRandom error', e); setToast('Erro ao encontrar Pokémon'); }
-  finally{ isFetchingEncounter = false; }
+      }
+    }catch(e){}
+  }
 }
 
 function renderEncounter(){
-  if(!currentEncounter){
+  const card = document.querySelector('.encounter-card');
+  if(card) card.dataset.state = encounterState;
+  renderWorld();
+  const queueEl = el('encounter-queue');
+  if(queueEl) queueEl.textContent = encounterQueue.length ? tr('encounter.queued', { n: encounterQueue.length }) : '';
+  renderHorde();
+  const enc = activeEncounter();
+  const canAct = encounterState === 'active' && !!enc;
+  if(btnCatch) btnCatch.disabled = !canAct;
+  if(btnRun) btnRun.disabled = !canAct;
+  if(!enc){
     // clear UI when there is no encounter
     if(pokeImage) { pokeImage.src = ''; pokeImage.style.display = 'none'; }
-    if(pokeName) pokeName.textContent = '—';
+    if(pokeName) pokeName.textContent = encounterState === 'loading' ? '…' : '—';
     if(pokeId) pokeId.textContent = '#—';
     if(pokeTypes) pokeTypes.innerHTML = '';
-    // disable capture button and hide pokeball
-    if(btnCatch) btnCatch.disabled = true;
+    updateCatchOdds();
+    renderHunt();
     if(pokeballEl) pokeballEl.style.display = 'none';
+    renderBattle();
     return;
   }
-  pokeImage.src = currentEncounter.sprite || '';
-  pokeImage.style.display = currentEncounter.sprite ? 'block' : 'none';
-  pokeName.textContent = currentEncounter.name || '—';
-  pokeId.textContent = `#${currentEncounter.id}`;
-  pokeTypes.innerHTML = (currentEncounter.types||[]).map(t=>`<span class="badge">${t}</span>`).join('');
-  // enable capture button and show pokeball visual
-  if(btnCatch) btnCatch.disabled = false;
+  pokeImage.src = enc.sprite || '';
+  pokeImage.style.display = enc.sprite ? 'block' : 'none';
+  pokeName.textContent = pokemonName(enc.id, enc.name);
+  pokeId.textContent = `#${enc.id}`;
+  pokeTypes.innerHTML = (enc.types||[]).map(t=>`<span class="badge">${escapeHtml(typeLabel(t))}</span>`).join('');
   if(pokeballEl) pokeballEl.style.display = '';
+  updateCatchOdds();
+  renderHunt();
+  renderBattle();
 }
 
-async function fetchPokemon(idOrName){
-  const res = await fetch(`${API_BASE}/pokemon/${idOrName}`);
-  if(!res.ok) throw new Error('fetch');
-  return res.json();
+// one small card per wild Pokémon when a horde is on screen; the selected one is the target
+function renderHorde(){
+  const strip = el('horde');
+  if(!strip) return;
+  if(encounters.length < 2){ strip.innerHTML = ''; return; }
+  strip.innerHTML = encounters.map((enc,i)=>`<button class="horde-slot${i === selectedEncounter ? ' selected' : ''}${enc.shiny ? ' shiny' : ''}" data-slot="${i}" ${encounterState === 'active' ? '' : 'disabled'}>
+      <img class="pixel" src="${enc.sprite || ''}" alt=""><span>${escapeHtml(pokemonName(enc.id, enc.name))}${enc.shiny ? ' ✨' : ''}</span></button>`).join('');
 }
 
-function tryCatch(){
-  if(isProcessing) return; // prevent double attempts
-  if(!currentEncounter) return setToast('Nenhum Pokémon encontrado');
-  startProcessing();
+function updateCatchOdds(){
+  const oddsEl = el('catch-odds');
+  if(!oddsEl) return;
+  const enc = activeEncounter();
+  if(!enc){ oddsEl.textContent = ''; return; }
+  const ball = (ballSelect && ballSelect.value) || 'pokeball';
+  const pct = captureChance(captureParams(enc, ball)) * 100;
+  oddsEl.textContent = tr('encounter.odds', { pct: pct >= 10 ? Math.round(pct) : pct.toFixed(1) });
+}
 
+function tryCatch(ctxOverride){
+  const enc = activeEncounter();
+  if(!enc && !encounterBusy()) return setToast(tr('encounter.none'));
+  if(encounterState !== 'active') return; // prevent double attempts
   // determine ball and chance
   const ball = (ballSelect && ballSelect.value) || 'pokeball';
-  const ballBonus = { pokeball:1.0, greatball:1.5, ultraball:2.2 }[ball] || 1.0;
-  const base = 0.35; // base chance
-  // if the current encounter is a shiny legendary, capture is guaranteed
-  if(currentEncounter && currentEncounter.shiny && currentEncounter.is_legendary){
-    var chance = 1.0;
-  } else {
-    var chance = Math.min(0.98, base * ballBonus + (pokedex[currentEncounter.id] && pokedex[currentEncounter.id].caught ? -0.1 : 0));
-  }
+  if(ballCount(ball) <= 0) return setToast(tr('encounter.noBalls'));
+  setEncounterState('throwing');
+  // the context is logged so replays use the same Quick/Timer/Dusk conditions
+  const ctx = ctxOverride || encounterContext(enc);
+  logAction('catch', { ball, ctx, ...(encounters.length > 1 ? { target: selectedEncounter } : {}) });
+  // roll every shake check now so the result is fixed by the seed; the animation only replays it
+  const result = resolveCapture(captureParams(enc, ball, ctx), ()=>rng.next('shake'));
+  const throwEvent = recordEvent('throw', { id: enc.id, name: enc.name, ball, shakes: result.shakes, caught: result.caught });
+  trackThrowStreak(result.caught);
 
-  // consume ball (pokeball = -1 means infinite)
-  if(ball !== 'pokeball'){
-  if((inventory[ball]||0) <= 0){ setToast('Sem bolas desse tipo!'); stopProcessing(); return; }
+  // consume ball (-1 means infinite)
+  if(inventory[ball] !== -1){
     inventory[ball] = Math.max(0,(inventory[ball]||0)-1);
     saveInventory();
     // pulse the specific count briefly
-    const elCount = el(ball === 'greatball' ? 'count-greatball' : 'count-ultraball');
+    const elCount = ballInventoryEl && ballInventoryEl.querySelector(`[data-ball="${ball}"] .ball-count`);
     if(elCount){ elCount.classList.add('pulse'); setTimeout(()=>elCount.classList.remove('pulse'),450); }
   }
 
-  // keep pokeball visible but do not animate
-  if(pokeballEl){ pokeballEl.style.opacity = ''; }
-
-  // resolve after animation
-  setTimeout(()=>{
+  playShakes(result.shakes, ()=>{
     try{
-      const success = Math.random() < chance;
-      if(success){
-      // simplified capture flow: small pokeball animation then finalize (safer)
-      const id = currentEncounter.id;
-      try{
-  // no capture animation on pokeball (static)
-  if(pokeballEl){ /* intentionally static */ }
-        // finalize after short delay to let the throw animation settle
-        setTimeout(()=>{
-          // finalize capture data
-          pokedex[id] = pokedex[id] || { id, name: currentEncounter.name, types: currentEncounter.types, caught:false, is_legendary:false, sprite: currentEncounter.sprite, capturedAt: null, shiny: false };
-          const firstCapture = !pokedex[id].caught;
-          pokedex[id].caught = true;
-          pokedex[id].sprite = pokedex[id].sprite || currentEncounter.sprite;
-          if(!pokedex[id].capturedAt) pokedex[id].capturedAt = (new Date()).toISOString();
-          // persist and update UI
-          save(); renderPokedex(); updateStats();
-          setToast(`${currentEncounter.name} capturado!`);
-          currentEncounter = null; renderEncounter();
-          if(firstCapture){
-            captureCounter = (captureCounter||0) + 1;
-            if(captureCounter % 10 === 0){ inventory.greatball = (inventory.greatball||0) + 1; setToast(`Bonus: you gained 1 Great Ball!`); }
-            if(captureCounter % 100 === 0){ inventory.ultraball = (inventory.ultraball||0) + 1; setToast(`Big bonus: you gained 1 Ultra Ball!`); }
-            saveInventory();
-          }
-            // lightweight confetti: create a few pieces and auto-clean
-            try{
-              const wrapper = document.querySelector('.poke-img-wrapper');
-              if(wrapper){
-                const colors = ['#ffd700','#ff6b6b','#6bc1ff','#a78bfa','#5eead4'];
-                for(let i=0;i<12;i++){
-                  const pc = document.createElement('div'); pc.className = 'confetti-piece';
-                  pc.style.left = (20 + Math.random()*120) + 'px';
-                  pc.style.background = colors[i % colors.length];
-                  wrapper.appendChild(pc);
-                  setTimeout(()=>pc.remove(), 1400 + Math.random()*200);
-                }
-              }
-            }catch(e){}
-          if(pokeballEl) { /* nothing to remove */ }
-          // continue: clear processing and immediately show a new encounter (small delay so DOM can repaint)
-          setTimeout(()=>{ stopProcessing(); encounterRandom(); }, 120);
-        }, 420);
-      }catch(e){
-        // fallback: finalize immediately
-        pokedex[id] = pokedex[id] || { id, name: currentEncounter.name, types: currentEncounter.types, caught:false, is_legendary:false, sprite: currentEncounter.sprite, capturedAt: null, shiny: false };
-        const firstCapture = !pokedex[id].caught;
-        pokedex[id].caught = true;
-        pokedex[id].sprite = pokedex[id].sprite || currentEncounter.sprite;
-        if(!pokedex[id].capturedAt) pokedex[id].capturedAt = (new Date()).toISOString();
+      if(result.caught) resolveCaught(enc, throwEvent);
+      else resolveFled(enc, result.shakes);
+    }catch(err){
+      console.error('tryCatch resolution error', err);
+      // ensure we don't stay blocked
+      resetEncounterState();
+    }
+  });
+}
+
+function resolveCaught(enc, throwEvent){
+  setEncounterState('caught');
+  // Undo takes the capture back, in the history too; the ball stays thrown
+  const before = { entry: pokedex[enc.id] ? JSON.parse(JSON.stringify(pokedex[enc.id])) : null, hunt: { ...hunt } };
+  const captured = recordCapture(enc);
   save(); renderPokedex(); updateStats();
-        setToast(`${currentEncounter.name} capturado!`);
-        currentEncounter = null; renderEncounter();
-        if(firstCapture){ captureCounter = (captureCounter||0) + 1; if(captureCounter % 10 === 0){ inventory.greatball = (inventory.greatball||0) + 1; setToast(`Bonus: you gained 1 Great Ball!`); } if(captureCounter % 100 === 0){ inventory.ultraball = (inventory.ultraball||0) + 1; setToast(`Big bonus: you gained 1 Ultra Ball!`); } saveInventory(); }
-  // immediate follow-up encounter after fallback finalize
-  setTimeout(()=>{ stopProcessing(); encounterRandom(); }, 120);
-      }
-      } else {
-  // failed capture -> pokemon escapes after a short flee animation
-      const name = capitalize(currentEncounter.name || 'Pokémon');
-      // cleanup throw class immediately
-  if(pokeballEl) { /* nothing to cleanup */ }
-      if(pokeImage){
-        // play flee animation on the image
-        pokeImage.classList.remove('flee'); void pokeImage.offsetWidth; pokeImage.classList.add('flee');
-        // after animation, show message, clear encounter and immediately replace with a new encounter
-        setTimeout(()=>{
-          setToast(`${name} escaped after the Pokéball broke!`);
-          currentEncounter = null; renderEncounter();
-          pokeImage.classList.remove('flee');
-          // allow actions and immediately show a new encounter
-          stopProcessing();
-          encounterRandom();
-        }, 700);
-      } else {
-        setToast('A Pokébola falhou!');
-        currentEncounter = null; renderEncounter();
-  // allow actions and immediately show a new encounter
-  stopProcessing(); encounterRandom();
-      }
-      }
-      }catch(err){
-        console.error('tryCatch resolution error', err);
-        // ensure we don't stay blocked
-        stopProcessing();
-        try{ renderEncounter(); }catch(e){}
+  const msg = captureToast(enc, captured);
+  offerUndo(msg, ()=>undoCapture(enc, captured, before, throwEvent));
+  announce(msg);
+  playCaptureSound();
+  captured.achievements = checkAchievements();
+  // lightweight confetti: create a few pieces and auto-clean
+  if(!motionOff()) try{
+    const wrapper = document.querySelector('.poke-img-wrapper');
+    if(wrapper){
+      const colors = ['#ffd700','#ff6b6b','#6bc1ff','#a78bfa','#5eead4'];
+      for(let i=0;i<12;i++){
+        const pc = document.createElement('div'); pc.className = 'confetti-piece';
+        pc.style.left = (20 + Math.random()*120) + 'px';
+        pc.style.background = colors[i % colors.length];
+        wrapper.appendChild(pc);
+        setTimeout(()=>pc.remove(), 1400 + Math.random()*200);
       }
-  }, 600);
+    }
+  }catch(e){}
+  setTimeout(()=>settleEncounter(enc), 540);
+}
+
+// failed capture -> the target escapes after a short flee animation
+function resolveFled(enc, shakes){
+  setEncounterState('fled');
+  breakHuntChain(enc);
+  recordEvent('flee', { id: enc.id, name: enc.name, shiny: enc.shiny });
+  playFlee(()=>{
+    const msg = tr('encounter.escaped', { name: pokemonName(enc.id, enc.name), n: shakes });
+    setToast(msg); announce(msg);
+    settleEncounter(enc);
+  });
+}
+
+// removes resolved Pokémon; the rest of a horde stays, an empty screen gets a follow-up encounter
+function settleEncounter(...gone){
+  encounters = encounters.filter(enc=>!gone.includes(enc));
+  selectedEncounter = Math.min(selectedEncounter, Math.max(0, encounters.length - 1));
+  if(encounters.length) return setEncounterState('active');
+  // a request queued meanwhile takes the follow-up's place; replays repeat the logged size
+  const next = replay ? { count: replay.autoCounts.shift() } : encounterQueue.shift();
+  encounterRandom({ ...next, auto:true });
+}
+
+function playFlee(done){
+  if(!pokeImage) return done();
+  pokeImage.classList.remove('flee'); void pokeImage.offsetWidth; pokeImage.classList.add('flee');
+  setTimeout(()=>{ pokeImage.classList.remove('flee'); done(); }, 700);
+}
+
+function captureToast(enc, { newShiny, earned, candies }){
+  const name = pokemonName(enc.id, enc.name);
+  return `${tr(newShiny ? 'encounter.caughtShiny' : 'encounter.caught', { name })} +${formatMoney(earned)}${candies ? ` +${candies} 🍬` : ''}`;
+}
+
+// Registers a successful capture in the dex (see registerCapture) and ends a shiny hunt it completes.
+function recordCapture(enc){
+  const game = { pokedex, captureCounter, money, candy };
+  const result = registerCapture(game, enc);
+  ({ captureCounter, money } = game);
+  if(result.newShiny) completeHunt(enc);
+  const event = recordEvent('capture', { id: enc.id, name: enc.name, shiny: !!enc.shiny, first: result.firstCapture });
+  return { ...result, event };
+}
+
+// Shows the ball wobbling once per passed shake check, then hands over to the result.
+function playShakes(shakes, done){
+  const statusEl = el('encounter-status');
+  const SHAKE_MS = 400;
+  const shown = Math.min(shakes, 3); // the 4th check is the click, not a wobble
+  if(statusEl) statusEl.textContent = '…';
+  for(let i=1;i<=shown;i++){
+    setTimeout(()=>{ if(statusEl) statusEl.textContent = tr('encounter.shake', { dots: '●'.repeat(i), n: i }); }, i*SHAKE_MS);
+  }
+  setTimeout(()=>{
+    if(statusEl) statusEl.textContent = shakes >= 4 ? tr('encounter.click') : '';
+    done();
+    if(statusEl && shakes >= 4) setTimeout(()=>{ statusEl.textContent = ''; }, 600);
+  }, (shown+1)*SHAKE_MS);
 }
 
 function runAway(){
-  if(isProcessing) return;
-  if(!currentEncounter) return setToast('Nenhum Pokémon encontrado');
-  startProcessing();
-  const name = capitalize(currentEncounter.name || 'Pokémon');
-  if(pokeImage){
-    pokeImage.classList.remove('flee'); void pokeImage.offsetWidth; pokeImage.classList.add('flee');
-    setTimeout(()=>{
-      setToast(`${name} fled the battle`);
-      currentEncounter = null; renderEncounter();
-      pokeImage.classList.remove('flee');
-      // allow processing flag to be cleared and auto encounter
-  setTimeout(()=>{ stopProcessing(); encounterRandom(); }, 300);
-    }, 700);
-  } else {
-    setToast(`${name} fled the battle`);
-    currentEncounter = null; renderEncounter();
-    stopProcessing();
-    setTimeout(()=>{ encounterRandom(); }, 300);
+  if(encounterState !== 'active') return;
+  if(!encounters.length) return setToast(tr('encounter.none'));
+  // running leaves the whole horde behind
+  const fleeing = encounters.slice();
+  setEncounterState('fled');
+  logAction('run');
+  fleeing.forEach(enc=>recordEvent('run', { id: enc.id, name: enc.name, shiny: enc.shiny }));
+  playFlee(()=>{
+    const msg = fleeing.length > 1 ? tr('encounter.ranHorde') : tr('encounter.ran', { name: pokemonName(fleeing[0].id, fleeing[0].name) });
+    setToast(msg); announce(msg);
+    settleEncounter(...fleeing);
+  });
+}
+
+// --- world conditions ---
+// Time of day and weather (engine.js worldAt) reweight the species roll through each species'
+// types and PokéAPI habitat, and are shown on the encounter card and in the background.
+const WORLD_ICONS = { morning:'🌅', day:'☀️', evening:'🌇', night:'🌙', clear:'🌤️', rain:'🌧️', sun:'🔆', snow:'❄️', sandstorm:'🌪️', fog:'🌫️' };
+const speciesTypes = {};    // { dex id: [types] } from the type rosters
+const speciesHabitats = {}; // { dex id: habitat }; PokéAPI has habitats for Gen I–III only
+
+function currentWorld(){ return worldAt(new Date()); }
+
+// species with no type or habitat data yet keep the plain weight
+function encounterWeights(world){
+  return speciesPool.map(id=>worldWeight(world, speciesTypes[id], speciesHabitats[id]));
+}
+
+async function loadHabitats(){
+  await Promise.all(HABITATS.map(async h=>{
+    try{
+      const data = await fetchHabitat(h);
+      data.pokemon_species.forEach(s=>{ speciesHabitats[speciesIdFromUrl(s.url)] = h; });
+    }catch(e){ /* those species keep the plain weight until the data is reachable */ }
+  }));
+}
+
+function renderWorld(){
+  const world = currentWorld();
+  if(document.body.dataset.time !== world.time) document.body.dataset.time = world.time;
+  if(document.body.dataset.weather !== world.weather) document.body.dataset.weather = world.weather;
+  const statusEl = el('world-status');
+  if(!statusEl) return;
+  const enc = activeEncounter();
+  const parts = [`${WORLD_ICONS[world.time]} ${tr(`world.time.${world.time}`)}`, `${WORLD_ICONS[world.weather]} ${tr(`world.weather.${world.weather}`)}`];
+  if(enc && enc.habitat) parts.push(tr('world.habitat', { habitat: tr(`habitat.${enc.habitat}`) }));
+  statusEl.textContent = parts.join(' • ');
+  statusEl.title = tr('world.favours', { types: worldFavours(world).map(typeLabel).join(', ') });
+}
+
+// --- wild battle ---
+// Rules are in engine.js (newBattle, battleTurn); the battle lives on its encounter, so each
+// Pokémon of a horde is fought separately and a throw reads that one's HP and status.
+let battlePending = false; // the lead's data is loading for the first move
+
+// the chosen lead while it is still caught, else the lowest caught dex number
+function currentLead(){
+  if(battleLead && pokedex[battleLead] && pokedex[battleLead].caught) return battleLead;
+  const first = Object.values(pokedex).find(p=>p && p.caught);
+  return first ? first.id : null;
+}
+
+function setBattleLead(id){
+  if(!pokedex[id] || !pokedex[id].caught) return;
+  battleLead = id;
+  save();
+  fetchPokemon(id).catch(()=>{});
+}
+
+function moveLabel(m){ return m.status ? tr(`battle.move.${m.status}`) : m.spare ? tr(`battle.move.${m.id}`) : tr('battle.attack', { type: typeLabel(m.type) }); }
+
+// damage depends on the chart, so moves wait for it instead of counting every type as neutral
+function typeChartReady(){ return Object.keys(typeChart).length > 0; }
+
+function renderBattle(){
+  const panel = el('battle-panel');
+  if(!panel) return;
+  const enc = activeEncounter();
+  if(!enc){ panel.innerHTML = ''; return; }
+  const b = enc.battle;
+  const lead = b ? b.lead.id : currentLead();
+  if(!lead){ panel.innerHTML = `<small>${tr('battle.noLead')}</small>`; return; }
+  if(!b) fetchPokemon(lead).catch(()=>{}); // ready for the first move
+  const moves = b ? b.moves : battleMoves((pokedex[lead] && pokedex[lead].types) || []);
+  const canMove = encounterState === 'active' && !battlePending && !(b && !b.lead.hp) && typeChartReady();
+  const hpBar = (side, label) => `<div class="battle-hp"><span>${label}</span>
+    <span class="battle-bar" role="img" aria-label="${side.hp}/${side.maxHp} HP"><i style="width:${side.hp / side.maxHp * 100}%"></i></span><small>${side.hp}/${side.maxHp}</small></div>`;
+  const caught = Object.values(pokedex).filter(p=>p && p.caught);
+  panel.innerHTML = `<div class="battle-row"><label for="battle-lead">${tr('battle.lead')}</label>
+      <select id="battle-lead" ${b || encounterState !== 'active' ? 'disabled' : ''}>${caught.map(p=>`<option value="${p.id}" ${p.id === lead ? 'selected' : ''}>#${p.id} ${escapeHtml(pokemonName(p.id, p.name))}</option>`).join('')}</select></div>
+    ${b ? hpBar(b.wild, `${escapeHtml(pokemonName(enc.id, enc.name))}${b.wild.status ? ` <span class="badge">${tr(`battle.status.${b.wild.status}`)}</span>` : ''}`) + hpBar(b.lead, escapeHtml(b.lead.name)) : ''}
+    <div class="battle-row">${moves.map(m=>{
+      const eff = m.type ? typeEffectiveness(typeChart, m.type, enc.types) : 1;
+      return `<button data-move="${m.id}" ${canMove ? '' : 'disabled'}>${escapeHtml(moveLabel(m))}${eff !== 1 ? ` <small>×${eff}</small>` : ''}</button>`;
+    }).join('')}</div>
+    ${b && b.log ? `<small class="battle-log">${escapeHtml(b.log)}</small>` : ''}
+    ${typeChartReady() ? '' : `<small>${tr('battle.loadingTypes')}</small>`}`;
+}
+
+function battleEventText(ev, enc, b){
+  const wildName = pokemonName(enc.id, enc.name);
+  const name = ev.side === 'lead' ? b.lead.name : wildName;
+  if(ev.fled) return tr('battle.fled', { name });
+  if(ev.skipped) return tr(`battle.skipped.${ev.skipped}`, { name });
+  if(ev.cured) return tr(`battle.cured.${ev.cured}`, { name });
+  if(ev.chip) return tr(`battle.chip.${ev.status}`, { name, n: ev.chip });
+  if(ev.missed) return tr('battle.missed', { name });
+  if(ev.failed) return tr('battle.failed', { name });
+  if(ev.status) return tr(`battle.inflicted.${ev.status}`, { name: wildName });
+  const text = tr(ev.move === 'false-swipe' ? 'battle.hit.false-swipe' : 'battle.hit', { name, type: typeLabel(ev.move), target: ev.side === 'lead' ? wildName : b.lead.name, n: ev.damage });
+  return ev.effectiveness === 0 ? `${text} ${tr('battle.immune')}` : ev.effectiveness > 1 ? `${text} ${tr('battle.super')}` : ev.effectiveness < 1 ? `${text} ${tr('battle.weak')}` : text;
+}
+
+// `leadId` comes from a replayed session; players fight with currentLead()
+async function battleMove(moveId, leadId){
+  const enc = activeEncounter();
+  if(encounterState !== 'active' || !enc || battlePending) return;
+  if(!typeChartReady()) return setToast(tr('battle.loadingTypes'));
+  if(!enc.battle){
+    const lead = leadId || currentLead();
+    if(!lead) return;
+    battlePending = true; renderBattle();
+    let data = null;
+    try{ data = await fetchPokemon(lead); }catch(e){ console.warn('battle: lead unavailable', e); }
+    battlePending = false;
+    if(!data) setToast(tr('battle.error'));
+    if(!data || activeEncounter() !== enc || encounterState !== 'active') return renderBattle();
+    enc.battle = newBattle({ lead: { id: lead, name: pokemonName(lead, capitalize(data.name)), types: data.types.map(t=>t.type.name), stats: data.stats }, wild: enc });
   }
+  const b = enc.battle;
+  if(b.over || !b.lead.hp) return;
+  logAction('battle', { move: moveId, lead: b.lead.id, ...(encounters.length > 1 ? { target: selectedEncounter } : {}) });
+  const events = battleTurn(b, moveId, typeChart, ()=>rng.next('battle'));
+  if(!events.length) return;
+  const wildName = pokemonName(enc.id, enc.name);
+  b.log = [...events.map(ev=>battleEventText(ev, enc, b)),
+    ...(b.over === 'fainted' ? [tr('battle.fainted', { name: wildName })] : []),
+    ...(!b.lead.hp ? [tr('battle.leadFainted', { name: b.lead.name })] : [])].join(' ');
+  announce(b.log);
+  if(b.over) return endBattle(enc);
+  renderEncounter();
+}
+
+// a fainted or fled wild Pokémon is gone like one that broke free
+function endBattle(enc){
+  setEncounterState('fled');
+  breakHuntChain(enc);
+  recordEvent(enc.battle.over === 'fainted' ? 'faint' : 'flee', { id: enc.id, name: enc.name, shiny: enc.shiny });
+  playFlee(()=>{
+    setToast(enc.battle.log, 3500);
+    settleEncounter(enc);
+  });
 }
 
 function exportPokedex(){
-  const data = JSON.stringify(pokedex,null,2);
+  const data = JSON.stringify(buildSave(),null,2);
   const blob = new Blob([data],{type:'application/json'});
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a'); a.href = url; a.download = 'pokedex.json'; a.click(); URL.revokeObjectURL(url);
@@ -542,18 +2054,852 @@ function importPokedex(){
     const f = e.target.files[0]; if(!f) return;
     const reader = new FileReader();
     reader.onload = ()=>{
-      try{ const data = JSON.parse(reader.result); pokedex = data; save(); renderPokedex(); setToast('Pokédex importada'); }catch(e){ setToast('Arquivo inválido'); }
+      let doc;
+      try{ doc = migrateSave(JSON.parse(reader.result)); }
+      catch(e){ return setToast(e instanceof SyntaxError ? tr('import.invalidFile') : e.message, 3000); }
+      const errors = validateSave(doc);
+      if(errors.length) return showImportErrors(errors);
+      showImportChoice(doc);
     };
     reader.readAsText(f);
   });
   input.click();
 }
 
-function resetPokedex(){ if(confirm('Resetar Pokédex? Esta ação não pode ser desfeita.')){ pokedex = {}; save(); renderPokedex(); setToast('Pokédex resetada'); }}
+function showImportErrors(errors){
+  const shown = errors.slice(0, 10);
+  modalBody.innerHTML = `<h3>${tr('import.rejectedTitle')}</h3>
+    <p>${tr('import.rejected', { n: errors.length })}</p>
+    <ul class="import-errors">${shown.map(e=>`<li><code>${escapeHtml(e)}</code></li>`).join('')}</ul>
+    ${errors.length > shown.length ? `<p>${tr('import.more', { n: errors.length - shown.length })}</p>` : ''}`;
+  openModal();
+}
+
+function showImportChoice(doc){
+  const count = d => Object.values(d.pokedex).filter(p=>p.caught).length;
+  modalBody.innerHTML = `<h3>${tr('import.title')}</h3>
+    <p>${tr('import.summary', { file: count(doc), current: count(buildSave()) })}</p>
+    <p style="font-size:13px;color:#666">${tr('import.help')}</p>
+    <div style="display:flex;gap:8px">
+      <button id="import-merge">${tr('import.merge')}</button>
+      <button id="import-replace">${tr('import.replace')}</button>
+    </div>`;
+  openModal();
+  const finish = (next, msg, opts)=>{
+    const before = restoreState(next, msg, opts);
+    if(!before) return;
+    takeSnapshot('import', before);
+    closeModal();
+  };
+  el('import-merge').addEventListener('click', ()=>finish(mergeSaves(buildSave(), doc), tr('import.merged'), { replace:false }));
+  el('import-replace').addEventListener('click', ()=>{
+    if(confirm(tr('import.confirmReplace'))) finish(doc, tr('import.replaced'));
+  });
+}
+
+// a fresh start for the whole profile, so balls, money and achievements match the empty dex
+function resetPokedex(){
+  if(!confirm(tr('reset.confirm'))) return;
+  const before = restoreState({ ...newSave(), settings:{ regions: activeRegions.slice(), lead: null } }, tr('reset.done'));
+  if(before) takeSnapshot('reset', before);
+}
+
+// --- snapshots and undo ---
+// Full copies of the save document, taken before a reset, import or restore and every few
+// minutes of play. Each profile keeps its own rotating list in IndexedDB next to its durable
+// save; without IndexedDB the list only lasts for the session.
+const SNAPSHOT_LIMIT = 20;
+const SNAPSHOT_INTERVAL_MS = 10 * 60 * 1000;
+const SNAPSHOT_REASONS = ['auto', 'manual', 'reset', 'import', 'restore']; // labels: snapshot.reason.<reason>
+const UNDO_MS = 8000;
+const snapshotMemory = {}; // { key: snapshots } as last written
+let snapshotQueue = Promise.resolve(); // one write at a time, so none overwrites another
+let undoOffer = null; // { label, run, until }
+
+function snapshotKey(id = profiles.active){ return profileKey(SAVE_KEY, id) + '_snapshots'; }
+
+// a copy that later play cannot change
+function cloneSave(){ return JSON.parse(JSON.stringify(buildSave())); }
+
+// oldest first
+async function readSnapshots(key = snapshotKey()){
+  const stored = await getDurableSave(key);
+  const list = Array.isArray(stored) ? stored : (snapshotMemory[key] || []);
+  return list.filter(s=>isPlainObject(s) && isPlainObject(s.doc) && isPlainObject(s.doc.pokedex) && SNAPSHOT_REASONS.includes(s.reason));
+}
+
+function sameProgress(a, b){ return JSON.stringify({ ...a, savedAt:null }) === JSON.stringify({ ...b, savedAt:null }); }
+
+// `doc` is the state before the change, taken by the caller
+function takeSnapshot(reason, doc = cloneSave()){
+  if(replay) return snapshotQueue;
+  const key = snapshotKey();
+  snapshotQueue = snapshotQueue.then(async ()=>{
+    const list = await readSnapshots(key);
+    // timed snapshots of an unchanged game would only push older ones out
+    if(reason === 'auto' && list.length && sameProgress(list[list.length-1].doc, doc)) return;
+    snapshotMemory[key] = list.concat({ at: (new Date()).toISOString(), reason, doc }).slice(-SNAPSHOT_LIMIT);
+    await putDurableSave(key, snapshotMemory[key]);
+  }).catch(e=>console.warn('takeSnapshot failed', e));
+  return snapshotQueue;
+}
+
+// Replaces the whole game state and returns the state it replaced, which stays one Undo away.
+// With `replace` (a restore, reset or import that replaces) other tabs take the new state as
+// it is; without it (a merging import) it is saved on top of what they stored.
+function restoreState(doc, msg, { replace = true } = {}){
+  if(replay) return null;
+  // a capture in flight would land in the restored dex
+  if(busyForUndo()) return null;
+  const before = cloneSave();
+  applySave(JSON.parse(JSON.stringify(doc)));
+  save({ replace });
+  // the recorded session no longer leads to this state
+  startSession();
+  renderGame();
+  offerUndo(msg, ()=>restoreState(before, tr('undo.done')));
+  return before;
+}
+
+function busyForUndo(){
+  if(!['throwing','caught'].includes(encounterState)) return false;
+  setToast(tr('snapshot.busy'));
+  return true;
+}
+
+// Takes one capture back: the dex entry as it was before, the payout, candy and count, and
+// the achievements it reached that no longer hold. It is a normal save, so what other tabs
+// stored meanwhile stays.
+function undoCapture(enc, captured, before, throwEvent){
+  if(replay || busyForUndo()) return false;
+  const id = enc.id;
+  const family = candyFamily(pokedex, id);
+  if(before.entry) pokedex[id] = before.entry;
+  else delete pokedex[id];
+  if(captured.firstCapture) captureCounter = Math.max(0, captureCounter - 1);
+  money = Math.max(0, money - captured.earned);
+  if(captured.candies) candy[family] = Math.max(0, (candy[family] || 0) - captured.candies);
+  // a shiny capture ended the hunt's chain
+  if(captured.newShiny && hunt.target === before.hunt.target) hunt = before.hunt;
+  undoCaptureEvents(throwEvent, captured.event);
+  // achievements are judged on the dex with other tabs' captures in it
+  save();
+  revokeAchievements(captured.achievements || []);
+  save();
+  startSession();
+  renderGame(); updateStats();
+  // the achievement toast would show what was just taken back
+  clearTimeout(toastEl._later);
+  setToast(tr('undo.done'));
+  return true;
+}
+
+function offerUndo(msg, undo){
+  if(replay) return setToast(msg);
+  // each offer runs once; `undo` returns false when it could not run yet
+  const offer = { label: tr('undo.action'), until: Date.now() + UNDO_MS, run: ()=>{
+    if(undoOffer !== offer) return;
+    undoOffer = null;
+    if(!undo()) undoOffer = offer;
+  } };
+  undoOffer = offer;
+  setToast(msg, UNDO_MS, offer);
+}
+
+function liveUndo(){ return undoOffer && undoOffer.until > Date.now() ? undoOffer : null; }
+
+function runUndo(){
+  const offer = liveUndo();
+  if(!offer) return;
+  toastEl.classList.remove('show');
+  offer.run();
+}
+
+function restoreSnapshot(snap){
+  const doc = readSaveDoc(JSON.parse(JSON.stringify(snap.doc)));
+  if(!doc) return setToast(tr('snapshot.unreadable'), 3000);
+  const before = restoreState(doc, tr('snapshot.restored', { date: formatDateTime(snap.at) }));
+  if(!before) return;
+  takeSnapshot('restore', before);
+  closeModal();
+}
+
+async function showSnapshots(){
+  const key = snapshotKey();
+  const list = (await readSnapshots(key)).reverse();
+  if(key !== snapshotKey()) return; // the profile changed while reading
+  const caught = d => Object.values(d.pokedex).filter(p=>p && p.caught);
+  const current = caught(buildSave()).length;
+  const rows = list.map((snap,i)=>{
+    const c = caught(snap.doc), diff = c.length - current;
+    return `<tr><td>${formatDateTime(snap.at)}</td><td>${tr(`snapshot.reason.${snap.reason}`)}</td>
+      <td>${c.length}${diff ? ` <small class="${diff > 0 ? 'snapshot-more' : 'snapshot-less'}">(${diff > 0 ? '+' : ''}${diff})</small>` : ''}</td>
+      <td>${c.filter(p=>p.shiny).length}</td><td>${formatMoney(snap.doc.money || 0)}</td>
+      <td><button data-snapshot="${i}">${tr('snapshot.restore')}</button></td></tr>`;
+  }).join('');
+  modalBody.innerHTML = `<h3>${tr('snapshot.title')}</h3>
+    <p class="settings-hint">${tr('snapshot.help', { n: SNAPSHOT_LIMIT, caught: current })}</p>
+    ${rows ? `<table class="stats-table"><tr><th>${tr('snapshot.date')}</th><th>${tr('snapshot.reason')}</th><th>${tr('snapshot.caught')}</th><th>${tr('snapshot.shinies')}</th><th>${tr('snapshot.money')}</th><th></th></tr>${rows}</table>`
+      : `<p style="color:#666;font-size:13px">${tr('snapshot.none')}</p>`}
+    <div style="margin-top:12px"><button id="snapshot-now">${tr('snapshot.now')}</button></div>`;
+  openModal();
+  modalBody.querySelectorAll('[data-snapshot]').forEach(btn=>btn.addEventListener('click', ()=>restoreSnapshot(list[parseInt(btn.dataset.snapshot, 10)])));
+  el('snapshot-now').addEventListener('click', async ()=>{
+    await takeSnapshot('manual');
+    await showSnapshots();
+    el('snapshot-now').focus();
+  });
+}
+
+// --- achievements ---
+function achievementContext(){
+  return achievementContextFor({ pokedex, captureCounter, bestStreak: achievementState.bestStreak, typeRosters });
+}
+
+function achievementText(a, field){ return tr(`${a.label || `ach.${a.id}`}.${field}`, { region: a.region, type: a.type && typeLabel(a.type) }); }
+
+function rewardText(reward){
+  const parts = [];
+  if(reward.money) parts.push(formatMoney(reward.money));
+  Object.entries(reward.balls || {}).forEach(([id,n])=>parts.push(`${n}× ${ballName(id)}`));
+  return parts.join(' + ');
+}
+
+function grantReward(reward){
+  const wallet = { money, inventory };
+  grantRewardTo(wallet, reward);
+  money = wallet.money;
+}
+
+// returns what was earned, [{ def, milestone }] as collectAchievements lists it
+function checkAchievements(){
+  const earned = collectAchievements(achievementState, achievementContext());
+  const texts = earned.map(({ def, milestone })=>{
+    grantReward(def.reward);
+    return milestone ? `🎁 ${tr(`milestone.${def.id}`)}: ${rewardText(def.reward)}` : `🏆 ${achievementText(def, 'name')} (${rewardText(def.reward)})`;
+  });
+  if(texts.length){
+    saveInventory();
+    // let the capture toast show first
+    const msg = texts.length === 1 ? texts[0]
+      : texts.length <= 3 ? tr('ach.rewards', { n: texts.length, list: texts.join(' • ') })
+      : tr('ach.rewardsMany', { n: texts.length });
+    toastEl._later = setTimeout(()=>setToast(msg, 4000, liveUndo()), 1200);
+  }
+  renderAchievements();
+  return earned;
+}
+
+// takes back what checkAchievements `earned` once the progress behind it is gone, rewards included
+function revokeAchievements(earned){
+  const s = achievementContext();
+  earned.forEach(({ def, milestone })=>{
+    if(milestone){
+      if((achievementState.milestones[def.id] || 0) <= Math.floor(def.value(s) / def.every)) return;
+      achievementState.milestones[def.id]--;
+    }else{
+      const goal = achievementGoal(def, s);
+      if(!achievementState.unlocked[def.id] || (goal && def.value(s) >= goal)) return;
+      delete achievementState.unlocked[def.id];
+    }
+    money = Math.max(0, money - (def.reward.money || 0));
+    Object.entries(def.reward.balls || {}).forEach(([id,n])=>{ if(inventory[id] !== -1) inventory[id] = Math.max(0, (inventory[id] || 0) - n); });
+  });
+  renderAchievements(); renderInventory();
+}
+
+function trackThrowStreak(caught){ trackStreak(achievementState, caught); }
+
+async function loadTypeRosters(){
+  const maxId = REGIONS[REGIONS.length-1].to;
+  const typeData = {};
+  await Promise.all(TYPE_NAMES.map(async t=>{
+    try{
+      const data = await fetchType(t);
+      typeNames[t] = data.names;
+      typeRosters[t] = typeRoster(data, maxId);
+      typeRosters[t].forEach(id=>{ (speciesTypes[id] = speciesTypes[id] || []).push(t); });
+      typeData[t] = data;
+    }catch(e){ /* stays unevaluable until the data is reachable */ }
+  }));
+  typeChart = buildTypeChart(typeData);
+  checkAchievements();
+  if(dexFilter.types.length) renderPokedex();
+  renderDexFilters(); renderEncounter();
+}
+
+function renderAchievements(){
+  const list = el('achievements');
+  if(!list) return;
+  const s = achievementContext();
+  const done = ACHIEVEMENTS.filter(a=>achievementState.unlocked[a.id]).length;
+  const countEl = el('achievements-count'); if(countEl) countEl.textContent = `${done}/${ACHIEVEMENTS.length}`;
+  const card = a => {
+    const goal = achievementGoal(a, s);
+    const unlockedAt = achievementState.unlocked[a.id];
+    const value = goal ? Math.min(goal, a.value(s)) : 0;
+    return `<div class="achievement${unlockedAt ? ' unlocked' : ''}">
+      <div><strong>${escapeHtml(achievementText(a, 'name'))}</strong> <small>${rewardText(a.reward)}</small></div>
+      <div class="achievement-desc">${escapeHtml(achievementText(a, 'desc'))}</div>
+      <div class="progress"><i style="width:${goal ? Math.round(value / goal * 100) : 0}%"></i></div>
+      <small>${unlockedAt ? tr('ach.unlockedOn', { date: formatDate(unlockedAt) }) : goal ? `${value}/${goal}` : tr('ach.loading')}</small>
+    </div>`;
+  };
+  const milestone = m => {
+    const v = m.value(s);
+    return `<div class="achievement milestone"><div><strong>${tr(`milestone.${m.id}`)}</strong> <small>${rewardText(m.reward)}</small></div>
+      <div class="progress"><i style="width:${Math.round((v % m.every) / m.every * 100)}%"></i></div>
+      <small>${tr('ach.nextIn', { n: m.every - (v % m.every), times: achievementState.milestones[m.id] || 0 })}</small></div>`;
+  };
+  // unlocked first, then the closest to completion
+  const sorted = ACHIEVEMENTS.slice().sort((a,b)=>{
+    const ua = !!achievementState.unlocked[a.id], ub = !!achievementState.unlocked[b.id];
+    if(ua !== ub) return ua ? -1 : 1;
+    const pa = (achievementGoal(a,s) ? a.value(s) / achievementGoal(a,s) : 0), pb = (achievementGoal(b,s) ? b.value(s) / achievementGoal(b,s) : 0);
+    return pb - pa;
+  });
+  list.innerHTML = MILESTONES.map(milestone).join('') + sorted.map(card).join('');
+}
+
+// --- history ---
+// Every encounter, throw, capture, flee (escaped after a throw) and run is appended to a
+// bounded log: { t, e, id, name, ball?, shakes?, caught?, shiny?, first?, undone? }.
+let eventLog = [];
+let historyFullNoted = false; // the player was told the log no longer fits
+
+function loadHistory(){
+  historyFullNoted = false;
+  try{
+    const raw = localStorage.getItem(profileKey(HISTORY_KEY));
+    const data = raw ? JSON.parse(raw) : [];
+    eventLog = Array.isArray(data) ? data.filter(ev=>isPlainObject(ev) && typeof ev.e === 'string') : [];
+  }catch(e){ eventLog = []; }
+}
+
+// Out of space, nothing is dropped on its own: the whole log stays in this tab and the player
+// is offered a CSV export, after which the older half makes room.
+function writeHistory(){
+  try{
+    localStorage.setItem(profileKey(HISTORY_KEY), JSON.stringify(eventLog));
+    historyFullNoted = false;
+  }catch(e){
+    console.warn('saveHistory failed', e);
+    if(historyFullNoted) return;
+    historyFullNoted = true;
+    const msg = tr('history.full');
+    setToast(msg, 10000, { label: tr('history.exportTrim'), run: trimHistoryAfterExport });
+    announce(msg);
+  }
+}
+
+function trimHistoryAfterExport(){
+  exportHistoryCsv();
+  eventLog = eventLog.slice(Math.floor(eventLog.length / 2));
+  setToast(tr('history.trimmed', { n: eventLog.length }), 4000);
+  historyFullNoted = false;
+  writeHistory();
+}
+const saveHistory = debounce(writeHistory, 500);
+
+function recordEvent(e, data){
+  if(replay) return; // replays run on scratch state
+  const ev = { t: Date.now(), e, ...data };
+  eventLog.push(ev);
+  if(eventLog.length > HISTORY_LIMIT) eventLog.splice(0, eventLog.length - HISTORY_LIMIT);
+  saveHistory();
+  return ev;
+}
+
+// an undone capture did not happen; its throw stays, as a miss marked `undone`
+function undoCaptureEvents(throwEvent, captureEvent){
+  eventLog = eventLog.filter(ev=>ev !== captureEvent);
+  if(throwEvent){ throwEvent.caught = false; throwEvent.undone = true; }
+  saveHistory();
+}
+
+// pure: aggregate history events (and dex capture dates for the timeline)
+function historyStats(events, dex){
+  const count = e => events.filter(ev=>ev.e === e).length;
+  const encounters = count('encounter');
+  const captures = count('capture');
+  const balls = {};
+  events.filter(ev=>ev.e === 'throw').forEach(ev=>{
+    const b = balls[ev.ball] = balls[ev.ball] || { throws:0, caught:0 };
+    b.throws++; if(ev.caught) b.caught++;
+  });
+  const escapes = {};
+  events.filter(ev=>ev.e === 'flee' || ev.e === 'run').forEach(ev=>{
+    const f = escapes[ev.id] = escapes[ev.id] || { id: ev.id, name: ev.name, fled:0, ran:0 };
+    if(ev.e === 'flee') f.fled++; else f.ran++;
+  });
+  const timeline = Object.values(dex).filter(p=>p && p.caught && p.capturedAt)
+    .map(p=>Date.parse(p.capturedAt)).sort((a,b)=>a-b)
+    .map((t,i)=>({ t, caught: i+1 }));
+  return {
+    encounters, captures,
+    encountersPerCapture: captures ? encounters / captures : null,
+    balls,
+    shiniesSeen: events.filter(ev=>ev.e === 'encounter' && ev.shiny).length,
+    shiniesCaught: events.filter(ev=>ev.e === 'capture' && ev.shiny).length,
+    topEscapes: Object.values(escapes).sort((a,b)=>(b.fled+b.ran)-(a.fled+a.ran)).slice(0, 5),
+    timeline,
+    since: events.length ? events[0].t : null
+  };
+}
+
+// cumulative captures over time as a small inline SVG line chart
+function timelineSvg(points){
+  if(points.length < 2) return `<p style="color:#666;font-size:13px">${tr('timeline.empty')}</p>`;
+  const W = 640, H = 140, pad = 4;
+  const t0 = points[0].t, t1 = points[points.length-1].t, max = points[points.length-1].caught;
+  const x = t => pad + (t1 === t0 ? 0 : (t - t0) / (t1 - t0)) * (W - 2*pad);
+  const y = n => H - pad - (n / max) * (H - 2*pad);
+  const path = points.map(p=>`${x(p.t).toFixed(1)},${y(p.caught).toFixed(1)}`).join(' ');
+  return `<svg class="timeline" viewBox="0 0 ${W} ${H}" preserveAspectRatio="none" role="img" aria-label="${tr('stats.progress')}">
+    <polyline points="${path}" fill="none" stroke="#4aa3ff" stroke-width="2" />
+  </svg>
+  <div class="timeline-axis"><span>${formatDate(t0)}</span><span>${tr('timeline.caught', { n: max })}</span><span>${formatDate(t1)}</span></div>`;
+}
+
+function showStats(){
+  const st = historyStats(eventLog, pokedex);
+  const pct = (a,b) => b ? `${Math.round(a / b * 100)}%` : '—';
+  const ballRows = Object.entries(st.balls).map(([id,b])=>`<tr><td>${escapeHtml(ballName(id))}</td><td>${b.throws}</td><td>${b.caught}</td><td>${pct(b.caught, b.throws)}</td></tr>`).join('');
+  const escapeRows = st.topEscapes.map(f=>`<tr><td>#${f.id} ${escapeHtml(pokemonName(f.id, f.name || ''))}</td><td>${f.fled}</td><td>${f.ran}</td></tr>`).join('');
+  modalBody.innerHTML = `<h3>${tr('stats.title')}</h3>
+    <p style="font-size:12px;color:#666">${st.since ? tr('stats.since', { date: formatDateTime(st.since), n: eventLog.length, max: HISTORY_LIMIT }) : tr('stats.noEvents')}</p>
+    <div class="stats-grid">
+      <div><strong>${st.encounters}</strong><small>${tr('stats.encounters')}</small></div>
+      <div><strong>${st.captures}</strong><small>${tr('stats.captures')}</small></div>
+      <div><strong>${st.encountersPerCapture ? st.encountersPerCapture.toFixed(1) : '—'}</strong><small>${tr('stats.perCapture')}</small></div>
+      <div><strong>${st.shiniesCaught}/${st.shiniesSeen}</strong><small>${tr('stats.shinies')}</small></div>
+    </div>
+    <h4>${tr('stats.ballRate')}</h4>
+    ${ballRows ? `<table class="stats-table"><tr><th>${tr('stats.ball')}</th><th>${tr('stats.thrown')}</th><th>${tr('stats.caught')}</th><th>${tr('stats.success')}</th></tr>${ballRows}</table>` : `<p style="color:#666;font-size:13px">${tr('stats.noThrows')}</p>`}
+    <h4>${tr('stats.escapes')}</h4>
+    ${escapeRows ? `<table class="stats-table"><tr><th>${tr('stats.pokemon')}</th><th>${tr('stats.fled')}</th><th>${tr('stats.ran')}</th></tr>${escapeRows}</table>` : `<p style="color:#666;font-size:13px">${tr('stats.noEscapes')}</p>`}
+    <h4>${tr('stats.progress')}</h4>
+    ${timelineSvg(st.timeline)}
+    <div style="margin-top:12px"><button id="btn-history-csv" ${eventLog.length ? '' : 'disabled'}>${tr('stats.exportCsv')}</button></div>`;
+  openModal();
+  el('btn-history-csv').addEventListener('click', exportHistoryCsv);
+}
+
+function exportHistoryCsv(){
+  const cols = ['time','event','id','name','ball','shakes','caught','shiny','first','undone'];
+  const cell = v => v === undefined || v === null ? '' : /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g,'""')}"` : String(v);
+  const rows = eventLog.map(ev=>[new Date(ev.t).toISOString(), ev.e, ev.id, ev.name, ev.ball, ev.shakes, ev.caught, ev.shiny, ev.first, ev.undone].map(cell).join(','));
+  const blob = new Blob([[cols.join(','), ...rows].join('\n')], {type:'text/csv'});
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a'); a.href = url; a.download = 'pokemon-history.csv'; a.click(); URL.revokeObjectURL(url);
+}
+
+// --- daily challenge ---
+// Daily runs are stored under DAILY_KEY, apart from the save: they never touch the Pokédex,
+// money, inventory, history or achievements. They are not per profile, so a new profile is
+// not another attempt at the day.
+const DAILY_COLORS = { caught:'#2ec99b', shiny:'#ffd700', fled:'#ff6b6b', ran:'#cfd8e3' };
+let dailyRun = null; // today's run, see newDailyRun
+let dailyEncounter = null; // the loaded Pokémon for the current slot
+let dailyMessage = ''; // outcome of the last slot
+
+function loadDailyRuns(){
+  try{ return JSON.parse(localStorage.getItem(DAILY_KEY)) || {}; }catch(e){ return {}; }
+}
+
+function saveDailyRun(){
+  const runs = loadDailyRuns();
+  runs[dailyRun.date] = dailyRun;
+  Object.keys(runs).sort().slice(0, -DAILY_KEEP).forEach(d=>delete runs[d]);
+  try{ localStorage.setItem(DAILY_KEY, JSON.stringify(runs)); }catch(e){ console.warn('saveDailyRun failed', e); }
+}
+
+// noon keeps the calendar date the same in every timezone
+function dailyDateLabel(date){ return formatDate(`${date}T12:00:00`); }
+
+async function showDaily(){
+  const date = dailyDate();
+  if(!dailyRun || dailyRun.date !== date){ dailyRun = loadDailyRuns()[date] || newDailyRun(date); dailyEncounter = null; dailyMessage = ''; }
+  if(dailyRun.done) return renderDailyResult();
+  const slot = dailyRun.results.length;
+  if(!dailyEncounter || dailyEncounter.slot !== slot){
+    modalBody.innerHTML = `<h3>${tr('daily.title')}</h3><p id="daily-loading">${tr('daily.loading')}</p>`;
+    openModal();
+    let enc;
+    try{ enc = await loadEncounter(dailyEncounters(date)[slot]); }
+    catch(e){ if(el('daily-loading')) el('daily-loading').textContent = tr('daily.loadError'); return; }
+    // the modal was closed or reused while loading
+    if(!el('daily-loading') || !modalOpen()) return;
+    dailyEncounter = { ...enc, slot };
+  }
+  renderDaily();
+}
+
+function renderDaily(){
+  const enc = dailyEncounter;
+  const s = dailySummary(dailyRun);
+  const balls = BALL_CATALOGUE.filter(b=>b.id in DAILY_BALLS);
+  const first = balls.find(b=>dailyRun.balls[b.id] > 0);
+  // the buttons are rebuilt after every throw; keep keyboard focus on the same one
+  const focused = document.activeElement && modal.contains(document.activeElement) ? document.activeElement.id : '';
+  modalBody.innerHTML = `<h3>${tr('daily.title')} <small style="color:#666">${dailyDateLabel(dailyRun.date)}</small></h3>
+    <div class="daily-marks">${s.marks.map(m=>DAILY_MARKS[m]).join('')}</div>
+    <div class="detail-head">
+      <img src="${enc.sprite || ''}" alt="" width="120" height="120">
+      <div>
+        <h4 style="margin:0">${escapeHtml(pokemonName(enc.id, enc.name))}${enc.shiny ? ' ✨' : ''} <small class="badge">#${enc.id}</small></h4>
+        <div class="poke-types">${enc.types.map(t=>`<span class="badge">${escapeHtml(typeLabel(t))}</span>`).join('')}</div>
+        <small style="color:#666">${tr('daily.progress', { n: s.played + 1, total: DAILY_ENCOUNTERS })}</small>
+      </div>
+    </div>
+    <div class="daily-controls">
+      <select id="daily-ball">${balls.map(b=>`<option value="${b.id}" ${dailyRun.balls[b.id] > 0 ? '' : 'disabled'} ${b === first ? 'selected' : ''}>${escapeHtml(ballName(b.id))} (${dailyRun.balls[b.id]})</option>`).join('')}</select>
+      <button id="daily-catch">${tr('encounter.catch')}</button>
+      <button id="daily-run">${tr('encounter.run')}</button>
+    </div>
+    <p id="daily-status" style="font-size:13px;color:#666">${escapeHtml(dailyMessage)}</p>`;
+  openModal();
+  if(focused && el(focused) && !el(focused).disabled) el(focused).focus();
+  el('daily-catch').addEventListener('click', dailyThrow);
+  el('daily-run').addEventListener('click', ()=>{ dailyMessage = tr('encounter.ran', { name: pokemonName(enc.id, enc.name) }); announce(dailyMessage); finishDailySlot('ran'); });
+}
+
+function dailyThrow(){
+  const enc = dailyEncounter;
+  const ball = el('daily-ball') && el('daily-ball').value;
+  if(!enc || !(dailyRun.balls[ball] > 0)) return setToast(tr('encounter.noBalls'));
+  const rng = dailyThrowRng(dailyRun.date, dailyRun.rolls);
+  // `owned` stays false so the odds are the same for every player
+  const result = resolveCapture(captureParamsFor({ encounter: enc, ball, ctx: encounterContext(enc), owned: false }), ()=>rng.next('shake'));
+  dailyRun.balls[ball]--;
+  dailyRun.rolls = rng.rolls.length;
+  const name = pokemonName(enc.id, enc.name);
+  dailyMessage = result.caught ? tr(enc.shiny ? 'encounter.caughtShiny' : 'encounter.caught', { name }) : tr('encounter.escaped', { name, n: result.shakes });
+  announce(dailyMessage);
+  finishDailySlot(result.caught ? 'caught' : 'fled', ball);
+}
+
+// the run ends after the last encounter or the last ball
+function finishDailySlot(result, ball){
+  dailyRun.results.push({ result, shiny: !!dailyEncounter.shiny, ...(ball ? { ball } : {}) });
+  dailyRun.done = dailyRun.results.length >= DAILY_ENCOUNTERS || Object.values(dailyRun.balls).every(n=>n <= 0);
+  saveDailyRun();
+  showDaily();
+}
+
+function dailyResultText(run){
+  const s = dailySummary(run);
+  const rows = [];
+  for(let i=0; i<s.marks.length; i+=10) rows.push(s.marks.slice(i, i+10).map(m=>DAILY_MARKS[m]).join(''));
+  return [tr('daily.shareTitle', { date: run.date }), ...rows, tr('daily.shareStats', { caught: s.caught, total: DAILY_ENCOUNTERS, shinies: s.shinies, used: s.ballsUsed, budget: s.budget })].join('\n');
+}
+
+// a 600×315 image of the result, sized for chat link previews
+function dailyCard(run){
+  const s = dailySummary(run);
+  const canvas = document.createElement('canvas');
+  canvas.width = 600; canvas.height = 315;
+  const ctx = canvas.getContext && canvas.getContext('2d');
+  if(!ctx) return null;
+  const bg = ctx.createLinearGradient(0, 0, 600, 315);
+  bg.addColorStop(0, '#4aa3ff'); bg.addColorStop(1, '#2ec99b');
+  ctx.fillStyle = bg; ctx.fillRect(0, 0, 600, 315);
+  ctx.fillStyle = '#fff';
+  ctx.font = 'bold 30px Arial, sans-serif';
+  ctx.fillText(tr('daily.title'), 32, 56);
+  ctx.font = '18px Arial, sans-serif';
+  ctx.fillText(`Pokémon RNG • ${dailyDateLabel(run.date)}`, 32, 86);
+  s.marks.forEach((m,i)=>{
+    ctx.beginPath();
+    ctx.arc(52 + (i % 10) * 54, 136 + Math.floor(i / 10) * 54, 20, 0, Math.PI * 2);
+    ctx.fillStyle = DAILY_COLORS[m]; ctx.fill();
+    ctx.lineWidth = 3; ctx.strokeStyle = 'rgba(255,255,255,0.8)'; ctx.stroke();
+  });
+  ctx.fillStyle = '#fff';
+  ctx.font = 'bold 22px Arial, sans-serif';
+  ctx.fillText(tr('daily.cardStats', { caught: s.caught, total: DAILY_ENCOUNTERS, shinies: s.shinies, used: s.ballsUsed, budget: s.budget }), 32, 280);
+  return canvas;
+}
+
+function renderDailyResult(){
+  const s = dailySummary(dailyRun);
+  const text = dailyResultText(dailyRun);
+  modalBody.innerHTML = `<h3>${tr('daily.title')} <small style="color:#666">${dailyDateLabel(dailyRun.date)}</small></h3>
+    <p>${escapeHtml(dailyMessage)} ${tr(s.played < DAILY_ENCOUNTERS ? 'daily.outOfBalls' : 'daily.done')}</p>
+    <div class="stats-grid">
+      <div><strong>${s.caught}/${DAILY_ENCOUNTERS}</strong><small>${tr('stats.captures')}</small></div>
+      <div><strong>${s.shinies}</strong><small>${tr('progress.shinies')}</small></div>
+      <div><strong>${s.ballsUsed}/${s.budget}</strong><small>${tr('daily.ballsUsed')}</small></div>
+      <div><strong>${s.played}</strong><small>${tr('stats.encounters')}</small></div>
+    </div>
+    <pre class="daily-share">${escapeHtml(text)}</pre>
+    <div id="daily-card" class="daily-card"></div>
+    <div class="daily-controls">
+      <button id="daily-copy-text">${tr('daily.copyText')}</button>
+      <button id="daily-copy-image">${tr('daily.copyImage')}</button>
+      <button id="daily-download">${tr('daily.download')}</button>
+    </div>
+    <p style="font-size:12px;color:#666">${tr('daily.comeBack')}</p>`;
+  openModal();
+  const canvas = dailyCard(dailyRun);
+  if(canvas) el('daily-card').appendChild(canvas);
+  el('daily-copy-text').addEventListener('click', ()=>{
+    if(navigator.clipboard){ navigator.clipboard.writeText(text).then(()=>setToast(tr('daily.textCopied')), ()=>prompt(tr('daily.copyText'), text)); }
+    else prompt(tr('daily.copyText'), text);
+  });
+  el('daily-copy-image').disabled = !canvas || !navigator.clipboard || typeof ClipboardItem === 'undefined';
+  el('daily-copy-image').addEventListener('click', ()=>canvas.toBlob(blob=>{
+    navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })]).then(()=>setToast(tr('daily.imageCopied')), ()=>setToast(tr('daily.imageCopyFailed')));
+  }, 'image/png'));
+  el('daily-download').disabled = !canvas;
+  el('daily-download').addEventListener('click', ()=>canvas.toBlob(blob=>{
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a'); a.href = url; a.download = `pokemon-rng-daily-${dailyRun.date}.png`; a.click(); URL.revokeObjectURL(url);
+  }, 'image/png'));
+}
+
+// --- session export / replay ---
+function copySeedLink(){
+  const url = `${location.origin}${location.pathname}?seed=${encodeURIComponent(rng.seed)}`;
+  if(navigator.clipboard){ navigator.clipboard.writeText(url).then(()=>setToast(tr('seed.copied')), ()=>prompt(tr('seed.prompt'), url)); }
+  else prompt(tr('seed.prompt'), url);
+}
+
+function exportSession(){
+  if(!session) return;
+  const data = JSON.stringify({ version:1, ...session, rolls: rng.rolls }, null, 2);
+  const blob = new Blob([data],{type:'application/json'});
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a'); a.href = url; a.download = `session-${rng.seed}.json`; a.click(); URL.revokeObjectURL(url);
+}
+
+function importSessionReplay(){
+  if(replay) return;
+  const input = document.createElement('input'); input.type='file'; input.accept='application/json';
+  input.addEventListener('change', (e)=>{
+    const f = e.target.files[0]; if(!f) return;
+    const reader = new FileReader();
+    reader.onload = ()=>{
+      let data;
+      try{ data = JSON.parse(reader.result); }catch(e){ return setToast(tr('import.invalidFile')); }
+      if(!data || !data.seed || !Array.isArray(data.actions) || !data.start) return setToast(tr('session.invalid'));
+      replaySession(data).catch(err=>{ console.error('replay failed', err); finishReplay(); setToast(tr('session.error')); });
+    };
+    reader.readAsText(f);
+  });
+  input.click();
+}
+
+function waitIdle(){
+  return new Promise(resolve=>{
+    const check = ()=> (encounterBusy() || encounterQueue.length) ? setTimeout(check, 50) : resolve();
+    check();
+  });
+}
+
+// Re-runs the player's actions against the recorded seed and starting state, on a scratch
+// copy of the game (nothing is saved), then reports whether every roll matched.
+async function replaySession(data){
+  await waitIdle();
+  await Promise.all([typesLoading, habitatsLoading]);
+  replay = { stash: { pokedex, inventory, captureCounter, money, activeRegions, speciesPool, hunt, unlocks, achievementState, candy, encountered, battleLead, rng, session, encounters, selectedEncounter, encounterState }, expected: data.rolls || [],
+    worlds: data.actions.filter(a=>a.type === 'encounter').map(a=>a.world || null),
+    checksums: data.actions.filter(a=>a.type === 'encounter').map(a=>a.weights),
+    autoCounts: data.actions.filter(a=>a.type === 'encounter' && a.auto).map(a=>a.count || 1) };
+  // only the recorded start counts; whatever it leaves out starts as in a new game, never as
+  // this tab's live state (older sessions did not record achievements, candy or encounters)
+  const fresh = newSave(), start = JSON.parse(JSON.stringify(data.start));
+  pokedex = start.pokedex || fresh.pokedex;
+  inventory = { ...fresh.inventory, ...start.inventory };
+  captureCounter = start.captureCounter || 0;
+  money = start.money || 0;
+  hunt = { ...fresh.hunt, ...start.hunt };
+  unlocks = start.unlocks || fresh.unlocks;
+  achievementState = { ...fresh.achievements, ...start.achievements };
+  candy = start.candy || fresh.candy;
+  encountered = start.encountered || fresh.encountered;
+  battleLead = null; // battles replay with the recorded lead
+  if(Array.isArray(data.regions) && !regionErrors(data.regions).length) setActiveRegions(data.regions);
+  else if(data.allCount) speciesPool = Array.from({length:data.allCount}, (_,i)=>i+1); // sessions recorded before regions
+  rng = createRng(data.seed);
+  startSession();
+  encounters = []; selectedEncounter = 0; encounterState = 'idle';
+  renderEncounter(); renderPokedex(); updateStats(); renderInventory();
+  setToast(tr('session.replaying', { seed: data.seed }), 2500);
+
+  for(const action of data.actions){
+    if(action.auto) continue; // follow-up encounters happen on their own
+    await waitIdle();
+    if(replay.dataChanged) break;
+    if(action.type === 'encounter') await encounterRandom({ count: action.count });
+    else if(action.type === 'catch'){ if(ballSelect) ballSelect.value = action.ball || 'pokeball'; selectedEncounter = action.target || 0; tryCatch(action.ctx); }
+    else if(action.type === 'buy') buyBall(action.ball, action.qty);
+    else if(action.type === 'run') runAway();
+    else if(action.type === 'battle'){ selectedEncounter = action.target || 0; await battleMove(action.move, action.lead); }
+    else if(action.type === 'regions') setActiveRegions(action.regions);
+    else if(action.type === 'hunt') action.target ? startHunt(action.target, action.name) : stopHunt();
+    else if(action.type === 'evolve') await evolvePokemon(action.from, action.to);
+  }
+  await waitIdle();
+
+  const expected = replay.expected;
+  const mismatch = expected.findIndex((r,i)=> !rng.rolls[i] || rng.rolls[i].label !== r.label || rng.rolls[i].value !== r.value);
+  const dataChanged = replay.dataChanged;
+  finishReplay();
+  if(dataChanged) setToast(tr('session.dataChanged'), 4000);
+  else if(mismatch === -1) setToast(tr('session.ok', { n: expected.length }), 3500);
+  else setToast(tr('session.diverged', { index: mismatch, label: expected[mismatch].label }), 4000);
+}
+
+function finishReplay(){
+  if(!replay) return;
+  ({ pokedex, inventory, captureCounter, money, activeRegions, speciesPool, hunt, unlocks, achievementState, candy, encountered, battleLead, rng, session, encounters, selectedEncounter, encounterState } = replay.stash);
+  replay = null;
+  if(seedValueEl) seedValueEl.textContent = rng.seed;
+  renderEncounter(); renderPokedex(); updateStats(); renderInventory(); renderRegionSelect(); renderHunt(); renderAchievements();
+  if(pendingSync){ const raw = pendingSync; pendingSync = null; onSyncSave(profiles.active, raw); }
+}
+
+// --- shiny dex + hunt ---
+function renderShinyProgress(shinies){
+  const countEl = el('shiny-count'); const totalEl = el('shiny-total'); const bar = el('shiny-progress-bar');
+  if(countEl) countEl.textContent = shinies;
+  if(totalEl) totalEl.textContent = speciesPool.length;
+  if(bar) bar.style.width = Math.round(shinies / Math.max(1, speciesPool.length) * 100) + '%';
+}
+
+// modifiers unlock permanently once their condition is met
+function checkUnlocks(){
+  if(unlocks.includes('shiny-charm')) return;
+  const nationalTotal = REGIONS[REGIONS.length-1].to;
+  let caught = 0;
+  for(let id=1; id<=nationalTotal; id++) if(pokedex[id] && pokedex[id].caught) caught++;
+  if(caught < nationalTotal) return;
+  unlocks.push('shiny-charm');
+  setToast(tr('shiny.charmUnlocked'), 4000);
+  save(); renderHunt();
+}
+
+// only species already met and in the active regions; a replay follows the session
+function canHunt(id){ return speciesSeen(id) && speciesPool.includes(id); }
+
+function startHunt(id, name){
+  if(!replay && !canHunt(id)){ setToast(tr('hunt.unavailable')); return; }
+  hunt = { target:id, name: name || (pokedex[id] && pokedex[id].name) || `#${id}`, chain:0, best:0 };
+  logAction('hunt', { target:id, name: hunt.name });
+  save(); renderHunt();
+  setToast(tr('hunt.started', { name: pokemonName(id, hunt.name) }));
+}
+
+function stopHunt(){
+  if(!hunt.target) return;
+  hunt = { target:null, name:null, chain:0, best:0 };
+  logAction('hunt', { target:null });
+  save(); renderHunt();
+}
+
+// a failed throw scares the target off and breaks the chain; running away keeps it
+function breakHuntChain(enc){
+  if(!hunt.target || enc.id !== hunt.target || !hunt.chain) return;
+  hunt.chain = 0;
+  save(); renderHunt();
+  setTimeout(()=>setToast(tr('hunt.broken')), 800);
+}
+
+function completeHunt(enc){
+  if(!hunt.target || enc.id !== hunt.target) return;
+  hunt.chain = 0;
+  renderHunt();
+}
+
+function renderHunt(){
+  const panel = el('hunt-panel');
+  if(!panel) return;
+  const rolls = shinyRolls();
+  const odds = `1/${Math.round(SHINY_BASE_ODDS / rolls)}`;
+  const charms = SHINY_MODIFIERS.map(m=>`<span class="badge${unlocks.includes(m.id)?' unlocked':''}" title="${unlocks.includes(m.id) ? tr('modifier.rolls', { n: m.rolls }) : tr(`modifier.${m.id}.hint`)}">${tr(`modifier.${m.id}`)}${unlocks.includes(m.id)?' ✓':' 🔒'}</span>`).join('');
+  const oddsBadge = tr('hunt.odds', { odds });
+  panel.innerHTML = hunt.target
+    ? `<strong>${tr('hunt.hunting')}</strong> ${escapeHtml(pokemonName(hunt.target, hunt.name))} <span class="badge">${tr('hunt.chain', { n: hunt.chain })}</span> <span class="badge">${tr('hunt.best', { n: hunt.best })}</span> <span class="badge">${oddsBadge}</span> ${charms} <button id="btn-hunt-stop">${tr('hunt.stop')}</button>`
+    : `<span style="color:#666">${tr('hunt.none')} • ${oddsBadge}</span> ${charms} <button id="btn-hunt-start" ${activeEncounter() ? '' : 'disabled'}>${tr('hunt.start')}</button>`;
+  const stop = el('btn-hunt-stop'); if(stop) stop.addEventListener('click', userAction(stopHunt));
+  const start = el('btn-hunt-start'); if(start) start.addEventListener('click', userAction(()=>{ const enc = activeEncounter(); if(enc) startHunt(enc.id, enc.name); }));
+}
+
+// --- locale ---
+function renderLocaleSelect(){
+  const select = el('locale-select');
+  if(!select) return;
+  select.innerHTML = Object.entries(LOCALES).map(([id,l])=>`<option value="${id}" ${id === locale ? 'selected' : ''}>${l.name}</option>`).join('');
+}
+
+// static text is swapped by applyI18n; everything rendered from JS is redrawn, the modal is closed
+function changeLocale(next){
+  setLocale(next);
+  closeModal();
+  applyPrefs();
+  renderRegionSelect(); renderDexFilters(); renderPokedex(); renderInventory(); renderEncounter(); updateStats(); renderAchievements(); renderProfiles();
+}
+
+// --- regions ---
+function regionOf(id){ return REGIONS.find(r=>id >= r.from && id <= r.to) || null; }
+
+function setActiveRegions(regionIds){
+  // keep table order so the pool (and therefore seeded rolls) never depends on click order
+  activeRegions = REGIONS.map(r=>r.id).filter(id=>regionIds.includes(id));
+  speciesPool = regionPool(activeRegions);
+}
+
+function renderRegionSelect(){
+  if(!regionSelectEl) return;
+  regionSelectEl.innerHTML = REGIONS.map(r=>`<label><input type="checkbox" value="${r.id}" ${activeRegions.includes(r.id)?'checked':''}> ${r.name} <small>(${tr('region.gen', { n: r.gen })})</small></label>`).join('');
+  renderRegionSummary();
+}
+
+function renderRegionSummary(){
+  if(!regionSummaryEl) return;
+  regionSummaryEl.textContent = activeRegions.length === REGIONS.length ? tr('region.all')
+    : activeRegions.map(id=>REGIONS.find(r=>r.id === id).name).join(' + ');
+}
+
+function onRegionToggle(e){
+  // a replay drives the pool from the session file
+  if(replay) return renderRegionSelect();
+  const checked = Array.from(regionSelectEl.querySelectorAll('input:checked')).map(i=>i.value);
+  if(!checked.length){
+    e.target.checked = true;
+    return setToast(tr('region.atLeastOne'));
+  }
+  setActiveRegions(checked);
+  // the species pool changed: replays switch regions at this point too
+  logAction('regions', { regions: activeRegions.slice() });
+  renderRegionSummary();
+  page = 1; save(); renderPokedex();
+}
+
+// caught/total per region, active ones first-class, inactive ones dimmed
+function renderRegionProgress(){
+  if(!regionProgressEl) return;
+  regionProgressEl.innerHTML = REGIONS.map(r=>{
+    const total = r.to - r.from + 1;
+    let caught = 0;
+    for(let id=r.from; id<=r.to; id++) if(pokedex[id] && pokedex[id].caught) caught++;
+    const pct = Math.round(caught / total * 100);
+    return `<div class="region-row${activeRegions.includes(r.id)?'':' inactive'}" title="${r.name}: ${caught}/${total}">
+      <span class="region-name">${r.name}</span>
+      <div class="progress"><i style="width:${pct}%"></i></div>
+      <span class="region-count">${caught}/${total}</span>
+    </div>`;
+  }).join('');
+}
 
 // small util
+function isPlainObject(v){ return !!v && typeof v === 'object' && !Array.isArray(v); }
+function escapeHtml(s){ return String(s).replace(/[&<>"']/g, c=>({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c])); }
 function capitalize(s){ return s.charAt(0).toUpperCase()+s.slice(1); }
+function formatMoney(n){ return `₽${formatNumber(n)}`; }
 function debounce(fn,ms=200){ let t; return (...args)=>{ clearTimeout(t); t=setTimeout(()=>fn(...args),ms); }; }
+function withTimeout(promise, ms){ return Promise.race([promise, new Promise((_,reject)=>setTimeout(()=>reject(new Error(`timed out after ${ms}ms`)), ms))]); }
 
 // start
 init();
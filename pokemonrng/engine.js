@@ -0,0 +1,574 @@
+// engine.js - game rules without the DOM
+// Seeded rolls, the capture formula, wild battles, balls, world conditions, rewards, shiny odds,
+// evolution costs, achievements and the daily challenge. RNG.js drives these from the page;
+// tools/simulate.js runs them in Node against the data pack, and test/ checks them. Functions
+// here only touch the state they are handed.
+
+const DEFAULT_INVENTORY = { pokeball:-1, greatball:2, ultraball:1 };
+
+// national dex ranges per region; the encounter pool is the union of the active ones
+const REGIONS = [
+  { id:'kanto', name:'Kanto', gen:1, from:1, to:151 },
+  { id:'johto', name:'Johto', gen:2, from:152, to:251 },
+  { id:'hoenn', name:'Hoenn', gen:3, from:252, to:386 },
+  { id:'sinnoh', name:'Sinnoh', gen:4, from:387, to:493 },
+  { id:'unova', name:'Unova', gen:5, from:494, to:649 },
+  { id:'kalos', name:'Kalos', gen:6, from:650, to:721 },
+  { id:'alola', name:'Alola', gen:7, from:722, to:809 },
+  { id:'galar', name:'Galar', gen:8, from:810, to:905 },
+  { id:'paldea', name:'Paldea', gen:9, from:906, to:1025 },
+];
+
+function regionPool(regionIds){
+  const ids = [];
+  REGIONS.filter(r=>regionIds.includes(r.id)).forEach(r=>{ for(let id=r.from; id<=r.to; id++) ids.push(id); });
+  return ids;
+}
+
+// --- seeded RNG ---
+// Every game decision (species, shiny, capture) goes through `rng` so a run can be
+// reproduced from its seed. Cosmetic randomness (confetti positions) keeps Math.random.
+function hashSeed(str){
+  // xmur3-style string hash -> 32-bit state
+  let h = 1779033703 ^ str.length;
+  for(let i=0;i<str.length;i++){ h = Math.imul(h ^ str.charCodeAt(i), 3432918353); h = h << 13 | h >>> 19; }
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+function createRng(seed){
+  let a = hashSeed(String(seed));
+  const rolls = [];
+  // mulberry32; every value is logged with a label so sessions can be audited/replayed
+  function next(label){
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    const value = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    rolls.push({ n: rolls.length, label: label || 'roll', value });
+    return value;
+  }
+  return {
+    seed: String(seed),
+    rolls,
+    next,
+    int: (max, label) => Math.floor(next(label) * max),
+    chance: (p, label) => next(label) < p,
+  };
+}
+function randomSeed(){
+  try{ return crypto.getRandomValues(new Uint32Array(1))[0].toString(36); }
+  catch(e){ return Math.floor(Math.random()*0xffffffff).toString(36); }
+}
+
+// --- capture formula ---
+// Gen III/IV style: catch value a = floor((3*maxHp - 2*hp) * captureRate * ball / (3*maxHp)) * status,
+// then up to four shake checks that each pass with probability b/65536, b = 1048560 / (16711680/a)^(1/4).
+const DEFAULT_CAPTURE_RATE = 45; // used when the species data is unavailable
+const STATUS_MODIFIERS = { sleep:2, freeze:2, paralysis:1.5, poison:1.5, burn:1.5 };
+const OWNED_MODIFIER = 0.75; // species already in the dex stay a bit harder to catch
+
+// pure: { captureRate, ball, hp, maxHp, status, owned, guaranteed } -> catch value (0..255)
+function captureValue({ captureRate=DEFAULT_CAPTURE_RATE, ball=1, hp=1, maxHp=1, status=null, owned=false, guaranteed=false }){
+  if(guaranteed) return 255;
+  const hpFactor = (3*maxHp - 2*Math.max(0, Math.min(hp, maxHp))) / (3*maxHp);
+  const a = Math.floor(hpFactor * captureRate * ball) * (STATUS_MODIFIERS[status] || 1) * (owned ? OWNED_MODIFIER : 1);
+  return Math.max(1, Math.min(255, Math.floor(a)));
+}
+
+function shakeThreshold(a){
+  return a >= 255 ? 65536 : Math.floor(1048560 / Math.sqrt(Math.sqrt(16711680 / a)));
+}
+
+// probability that all four shake checks pass
+function captureChance(params){
+  const a = captureValue(params);
+  return a >= 255 ? 1 : Math.pow(shakeThreshold(a) / 65536, 4);
+}
+
+// pure: `random` returns [0,1); result.shakes is how many checks passed before a break-out (4 = caught)
+function resolveCapture(params, random){
+  const a = captureValue(params);
+  if(a >= 255) return { caught:true, shakes:4, a };
+  const b = shakeThreshold(a);
+  let shakes = 0;
+  while(shakes < 4 && Math.floor(random() * 65536) < b) shakes++;
+  return { caught: shakes === 4, shakes, a };
+}
+
+// game state -> formula input; HP and status come from a battle, if one was fought
+function captureParamsFor({ encounter, ball, ctx, owned }){
+  const wild = encounter.battle && encounter.battle.wild;
+  return {
+    captureRate: encounter.capture_rate,
+    ball: ballModifier(ball, ctx),
+    hp: wild ? wild.hp : 1, maxHp: wild ? wild.maxHp : 1, status: wild ? wild.status : null,
+    owned: !!owned,
+    // a shiny legendary is always caught, and so is anything hit by a Master Ball
+    guaranteed: !!(encounter.shiny && encounter.is_legendary) || !!(BALLS[ball] && BALLS[ball].guaranteed)
+  };
+}
+
+// --- wild battle ---
+// An optional fight before the throw: the player's lead (a caught species) weakens the wild
+// Pokémon or gives it a status. Both sides use Gen III stats at a fixed level from their base
+// stats. The lead has one attack per type (power 40), False Swipe (never leaves the wild one
+// below 1 HP) and one status move picked by its types; the wild Pokémon answers with an attack
+// of its first type or flees. Sleep and freeze keep it still for 1-3 turns; poison and burn cost
+// it 1/8 of its HP per turn, so it can faint on its own. A battle is plain data on the encounter.
+const BATTLE_LEVEL = 50;
+const LEAD_MOVE_POWER = 40;
+const WILD_MOVE_POWER = 50;
+const STATUS_MOVE_ACCURACY = 0.75;
+const WILD_FLEE_CHANCE = 0.08; // per turn, doubled when the wild Pokémon is faster than the lead
+const PARALYSIS_SKIP = 0.25;
+const STATUS_MAX_TURNS = 3; // sleep and freeze
+const STATUS_BY_TYPE = { grass:'sleep', psychic:'sleep', ghost:'sleep', electric:'paralysis', poison:'poison', bug:'poison', fire:'burn', ice:'freeze' };
+const STATUS_IMMUNE = { paralysis:['electric'], burn:['fire'], poison:['poison','steel'], freeze:['ice'] };
+
+function baseStat(stats, name){
+  const s = (stats || []).find(st=>st.stat && st.stat.name === name);
+  return s ? s.base_stat : 50;
+}
+
+// PokéAPI `stats` -> battle stats (no IVs, EVs or natures)
+function battleStats(stats){
+  const L = BATTLE_LEVEL;
+  const stat = name => Math.floor(2 * baseStat(stats, name) * L / 100) + 5;
+  return { maxHp: Math.floor(2 * baseStat(stats, 'hp') * L / 100) + L + 10, attack: stat('attack'), defense: stat('defense'), speed: stat('speed') };
+}
+
+// { type: PokéAPI type data } -> { attacking type: { defending type: multiplier } }
+function buildTypeChart(typeData){
+  const chart = {};
+  Object.entries(typeData).forEach(([t, data])=>{
+    const rel = data && data.damage_relations;
+    if(!rel) return;
+    const row = chart[t] = {};
+    (rel.double_damage_to || []).forEach(d=>{ row[d.name] = 2; });
+    (rel.half_damage_to || []).forEach(d=>{ row[d.name] = 0.5; });
+    (rel.no_damage_to || []).forEach(d=>{ row[d.name] = 0; });
+  });
+  return chart;
+}
+
+// types missing from the chart (data not loaded) count as neutral
+function typeEffectiveness(chart, moveType, types){
+  return (types || []).reduce((m,t)=>m * (chart[moveType] && chart[moveType][t] !== undefined ? chart[moveType][t] : 1), 1);
+}
+
+function battleMoves(types){
+  const statusType = types.find(t=>STATUS_BY_TYPE[t]);
+  return [...types.map(t=>({ id: t, type: t, power: LEAD_MOVE_POWER })), { id: 'false-swipe', type: 'normal', power: LEAD_MOVE_POWER, spare: true }, { id: 'status', status: statusType ? STATUS_BY_TYPE[statusType] : 'paralysis' }];
+}
+
+// lead/wild: { id, name, types, stats } (PokéAPI stats)
+function newBattle({ lead, wild }){
+  const side = p => { const st = battleStats(p.stats); return { id: p.id, name: p.name, types: p.types.slice(), ...st, hp: st.maxHp }; };
+  return { lead: side(lead), wild: { ...side(wild), status: null, statusTurns: 0 }, moves: battleMoves(lead.types), turns: 0, over: null };
+}
+
+function moveDamage(attacker, defender, move, chart, random){
+  const effectiveness = typeEffectiveness(chart, move.type, defender.types);
+  const base = Math.floor(Math.floor((2 * BATTLE_LEVEL / 5 + 2) * move.power * attacker.attack / defender.defense) / 50) + 2;
+  const stab = attacker.types.includes(move.type) ? 1.5 : 1;
+  const roll = 0.85 + random() * 0.15;
+  return { effectiveness, damage: effectiveness ? Math.max(1, Math.floor(base * stab * effectiveness * roll)) : 0 };
+}
+
+// Plays one turn with the lead's `moveId` and returns what happened, in order:
+// [{ side:'lead'|'wild', move?, damage?, effectiveness?, status?, missed?, failed?, skipped?, cured?, fled?, chip? }].
+// Sets battle.over to 'fainted' or 'fled' when the wild Pokémon is gone.
+function battleTurn(battle, moveId, chart, random){
+  const { lead, wild } = battle;
+  const move = battle.moves.find(m=>m.id === moveId);
+  if(!move || battle.over || !lead.hp) return [];
+  battle.turns++;
+  const events = [];
+  if(move.status){
+    if(wild.status || (STATUS_IMMUNE[move.status] || []).some(t=>wild.types.includes(t))) events.push({ side:'lead', move: move.id, failed:true });
+    else if(random() < STATUS_MOVE_ACCURACY){
+      wild.status = move.status;
+      if(move.status === 'sleep' || move.status === 'freeze') wild.statusTurns = 1 + Math.floor(random() * STATUS_MAX_TURNS);
+      events.push({ side:'lead', move: move.id, status: move.status });
+    }
+    else events.push({ side:'lead', move: move.id, missed:true });
+  }else{
+    const hit = moveDamage(lead, wild, move, chart, random);
+    if(move.spare) hit.damage = Math.min(hit.damage, wild.hp - 1);
+    wild.hp = Math.max(0, wild.hp - hit.damage);
+    events.push({ side:'lead', move: move.id, ...hit });
+    if(!wild.hp){ battle.over = 'fainted'; return events; }
+  }
+  const still = wild.status === 'sleep' || wild.status === 'freeze';
+  if(still && wild.statusTurns){ wild.statusTurns--; events.push({ side:'wild', skipped: wild.status }); return events; }
+  // it wakes up or thaws out and acts this turn
+  if(still){ events.push({ side:'wild', cured: wild.status }); wild.status = null; }
+  if(random() < WILD_FLEE_CHANCE * (wild.speed > lead.speed ? 2 : 1) * (wild.status === 'paralysis' ? 0.5 : 1)){
+    battle.over = 'fled';
+    events.push({ side:'wild', fled:true });
+    return events;
+  }
+  else if(wild.status === 'paralysis' && random() < PARALYSIS_SKIP) events.push({ side:'wild', skipped: 'paralysis' });
+  else{
+    const hit = moveDamage(wild, lead, { type: wild.types[0], power: WILD_MOVE_POWER }, chart, random);
+    lead.hp = Math.max(0, lead.hp - hit.damage);
+    events.push({ side:'wild', move: wild.types[0], ...hit });
+  }
+  if(wild.status === 'poison' || wild.status === 'burn'){
+    const chip = Math.max(1, Math.floor(wild.maxHp / 8));
+    wild.hp = Math.max(0, wild.hp - chip);
+    events.push({ side:'wild', chip, status: wild.status });
+    if(!wild.hp) battle.over = 'fainted';
+  }
+  return events;
+}
+
+// --- ball catalogue ---
+// Conditional balls read the throw context: { elapsedMs (since the encounter appeared),
+// hour (local clock), types, weather, habitat }. price null = not sold at the PokéMart.
+// Names and descriptions live in the locale catalogues (i18n.js) as ball.<id> / ball.<id>.info.
+const BALL_CATALOGUE = [
+  { id:'pokeball', color:'#d93b3b', price:null, modifier:()=>1 },
+  { id:'greatball', color:'#4aa3ff', price:600, modifier:()=>1.5 },
+  { id:'ultraball', color:'#8a2be2', price:800, modifier:()=>2 },
+  { id:'quickball', color:'#f4c430', price:1000, modifier:ctx=>ctx.elapsedMs < 3000 ? 5 : 1 },
+  { id:'timerball', color:'#e0e0e0', price:1000, modifier:ctx=>Math.min(4, 1 + Math.floor(ctx.elapsedMs / 5000) * 0.3) },
+  { id:'duskball', color:'#2e8b57', price:1000, modifier:ctx=>timeOfDay(ctx.hour) === 'night' || ctx.habitat === 'cave' ? 3 : 1 },
+  { id:'netball', color:'#20b2aa', price:1000, modifier:ctx=>(ctx.types||[]).some(t=>t === 'water' || t === 'bug') ? 3.5 : 1 },
+  { id:'diveball', color:'#3b7dd8', price:1000, modifier:ctx=>ctx.habitat === 'sea' || ctx.habitat === 'waters-edge' ? 3.5 : ctx.weather === 'rain' ? 2 : 1 },
+  { id:'masterball', color:'#7b2cbf', price:50000, guaranteed:true, modifier:()=>1 },
+];
+const BALLS = Object.fromEntries(BALL_CATALOGUE.map(b=>[b.id,b]));
+
+function ballModifier(ball, ctx){ return BALLS[ball] ? BALLS[ball].modifier(ctx) : 1; }
+
+// --- world: time of day, weather and habitats ---
+// The local clock sets the time of day. Weather rotates every 30 minutes, picked from the
+// slot number, so every player sees the same weather at the same moment. Each condition
+// favours some types (the best match among a species' types counts) and PokéAPI habitats;
+// a species' encounter weight is the product over the current conditions.
+const TIMES_OF_DAY = [['night',0], ['morning',6], ['day',10], ['evening',17], ['night',19]]; // [id, from hour]
+const WEATHERS = { clear:4, rain:2, sun:2, snow:1, sandstorm:1, fog:1 }; // relative frequency
+const WEATHER_PERIOD_MS = 30 * 60 * 1000;
+const HABITATS = ['cave','forest','grassland','mountain','rare','rough-terrain','sea','urban','waters-edge'];
+const WORLD_WEIGHTS = {
+  morning: { types:{ bug:1.5, grass:1.5, normal:1.3, flying:1.3 }, habitats:{ forest:1.5, grassland:1.3 } },
+  day: { types:{ fire:1.3, grass:1.3, normal:1.3 }, habitats:{ urban:1.5, grassland:1.3 } },
+  evening: { types:{ psychic:1.5, fairy:1.5, dark:1.3 }, habitats:{ 'waters-edge':1.3 } },
+  night: { types:{ ghost:3, dark:2.5, poison:1.5 }, habitats:{ cave:2, urban:0.7 } },
+  clear: { types:{ normal:1.3, flying:1.3 }, habitats:{} },
+  rain: { types:{ water:3, electric:1.5, bug:1.3 }, habitats:{ 'waters-edge':2, sea:2 } },
+  sun: { types:{ fire:3, grass:1.5, ground:1.3 }, habitats:{ grassland:1.3, 'rough-terrain':1.3 } },
+  snow: { types:{ ice:3, water:1.3 }, habitats:{ mountain:2 } },
+  sandstorm: { types:{ rock:2, ground:2, steel:2 }, habitats:{ 'rough-terrain':2 } },
+  fog: { types:{ ghost:2, psychic:1.5 }, habitats:{ cave:1.5, forest:1.3 } },
+};
+
+function timeOfDay(hour){ return TIMES_OF_DAY.filter(([,from])=>hour >= from).pop()[0]; }
+
+function weatherAt(ms){
+  const total = Object.values(WEATHERS).reduce((a,b)=>a+b, 0);
+  let pick = hashSeed(`weather:${Math.floor(ms / WEATHER_PERIOD_MS)}`) % total;
+  return Object.keys(WEATHERS).find(w=>(pick -= WEATHERS[w]) < 0);
+}
+
+function worldAt(date){ return { time: timeOfDay(date.getHours()), weather: weatherAt(date.getTime()) }; }
+
+function worldWeight(world, types, habitat){
+  return [world.time, world.weather].reduce((w, c)=>{
+    const rule = WORLD_WEIGHTS[c];
+    if(!rule) return w;
+    const typeFactor = Math.max(1, ...(types || []).map(t=>rule.types[t] || 1));
+    return w * typeFactor * (rule.habitats[habitat] || 1);
+  }, 1);
+}
+
+// the types each condition favours, for showing what is more common right now
+function worldFavours(world){
+  return Array.from(new Set([world.time, world.weather].flatMap(c=>WORLD_WEIGHTS[c] ? Object.keys(WORLD_WEIGHTS[c].types) : [])));
+}
+
+// --- money ---
+const CAPTURE_REWARDS = { base:100, firstCapture:200, legendary:1000, shiny:500 };
+
+// pure: what a capture pays out
+function captureReward(encounter, firstCapture){
+  return CAPTURE_REWARDS.base
+    + (firstCapture ? CAPTURE_REWARDS.firstCapture : 0)
+    + (encounter.is_legendary ? CAPTURE_REWARDS.legendary : 0)
+    + (encounter.shiny ? CAPTURE_REWARDS.shiny : 0);
+}
+
+// --- shiny odds ---
+// The shiny roll succeeds when rng.int(SHINY_BASE_ODDS) < shinyRolls(), so each extra
+// "roll" adds another 1/SHINY_BASE_ODDS of chance.
+const SHINY_BASE_ODDS = 300;
+const HUNT_CHAIN_STEP = 10; // every 10 chained encounters of the target...
+const HUNT_MAX_BONUS = 4;   // ...adds a roll, up to +4 (1/60 at a 40+ chain)
+const HUNT_TARGET_WEIGHT = 4; // the hunted species turns up 4x as often as its usual weight
+const SHINY_MODIFIERS = [
+  { id:'shiny-charm', rolls:2 }, // name/hint: modifier.<id>, modifier.<id>.hint
+];
+
+// pure: { chain, unlocks } -> number of shiny rolls for the next encounter
+function shinyRollsFor({ chain=0, unlocks=[] }){
+  const chainBonus = Math.min(HUNT_MAX_BONUS, Math.floor(chain / HUNT_CHAIN_STEP));
+  const modifierBonus = SHINY_MODIFIERS.filter(m=>unlocks.includes(m.id)).reduce((n,m)=>n + m.rolls, 0);
+  return 1 + chainBonus + modifierBonus;
+}
+
+// Rolls species and shiny for one encounter slot.
+// The shiny roll only counts when the species has a shiny sprite (checked by the caller).
+// `weights` (one per pool entry, see worldWeight) makes some species more likely; without it all are equal.
+// A shiny hunt `target` in the pool gets HUNT_TARGET_WEIGHT times its weight and rolls `targetShinyRolls`.
+function rollEncounterFor(rng, { pool, target=null, shinyRolls=1, targetShinyRolls=shinyRolls, weights=null }){
+  const hunted = pool.indexOf(target);
+  if(hunted !== -1){
+    weights = weights ? weights.slice() : pool.map(()=>1);
+    weights[hunted] *= HUNT_TARGET_WEIGHT;
+  }
+  const id = weights ? pool[weightedIndex(weights, rng.next('species'))] : pool[rng.int(pool.length, 'species')];
+  const isShinyRoll = rng.int(SHINY_BASE_ODDS, 'shiny') < (id === target ? targetShinyRolls : shinyRolls);
+  return { id, isShinyRoll };
+}
+
+function weightedIndex(weights, r){
+  let pick = r * weights.reduce((a,b)=>a+b, 0);
+  const i = weights.findIndex(w=>(pick -= w) < 0);
+  return i === -1 ? weights.length - 1 : i;
+}
+
+// sessions log this so a replay can tell when the type or habitat data behind the weights changed
+function weightsChecksum(weights){ return hashSeed(weights.join(',')); }
+
+// --- evolution by candy ---
+const CANDY_PER_DUPLICATE = 1;
+const CANDY_PER_SHINY_DUPLICATE = 3;
+const EVOLUTION_COST = [3, 5]; // candies for the first and later stages
+
+function evolutionCost(node){ return EVOLUTION_COST[Math.min(node.depth, EVOLUTION_COST.length) - 1]; }
+
+// duplicates turn into candy for evolving the family
+function captureCandy(encounter, firstCapture){
+  return firstCapture ? 0 : (encounter.shiny ? CANDY_PER_SHINY_DUPLICATE : CANDY_PER_DUPLICATE);
+}
+
+function speciesIdFromUrl(url){ return parseInt(String(url).split('/').filter(Boolean).pop(), 10); }
+
+// candy is shared by an evolution family and kept under the chain's first species
+function evolutionFamily(chain){ return speciesIdFromUrl(chain.species.url); }
+
+// flattens an evolution-chain tree into nodes { id, name, from, depth, details }
+function flattenEvolutionChain(chain){
+  const nodes = [];
+  const walk = (link, from, depth)=>{
+    const id = speciesIdFromUrl(link.species.url);
+    nodes.push({ id, name: link.species.name, from, depth, details: link.evolution_details || [] });
+    (link.evolves_to || []).forEach(next=>walk(next, id, depth+1));
+  };
+  walk(chain, null, 0);
+  return nodes;
+}
+
+// --- capture and evolution bookkeeping ---
+// `game` holds the parts of a save these change: { pokedex, captureCounter, money, candy }.
+// RNG.js hands in the player's state, tools/simulate.js a simulated playthrough.
+
+// dex entries remember their family once it is known; until then a species keeps its own candy
+function candyFamily(pokedex, id){
+  const p = pokedex[id];
+  return (p && p.family) || id;
+}
+
+// Registers a capture in the dex and pays it out. Normal and shiny captures are tracked
+// separately: a species can be caught first and shiny-caught later.
+function registerCapture(game, encounter){
+  const id = encounter.id;
+  const now = (new Date()).toISOString();
+  const entry = game.pokedex[id] = game.pokedex[id] || { id, name: encounter.name, types: encounter.types, caught:false, is_legendary: !!encounter.is_legendary, sprite: null, capturedAt: null, shiny: false };
+  const firstCapture = !entry.caught;
+  const newShiny = !!encounter.shiny && !entry.shiny;
+  entry.caught = true;
+  entry.is_legendary = entry.is_legendary || !!encounter.is_legendary;
+  if(encounter.family) entry.family = encounter.family;
+  if(!entry.capturedAt) entry.capturedAt = now;
+  if(newShiny){
+    entry.shiny = true;
+    entry.shinySprite = encounter.sprite;
+    entry.shinyCapturedAt = now;
+  }
+  // `sprite` is the regular one; a shiny-first capture uses its shiny sprite until a regular one is caught
+  if(!entry.sprite || (entry.sprite === entry.shinySprite && !encounter.shiny)) entry.sprite = encounter.sprite;
+  if(firstCapture) game.captureCounter = (game.captureCounter || 0) + 1;
+  const earned = captureReward(encounter, firstCapture);
+  game.money += earned;
+  const candies = captureCandy(encounter, firstCapture);
+  const family = candyFamily(game.pokedex, id);
+  if(candies) game.candy[family] = (game.candy[family] || 0) + candies;
+  return { firstCapture, newShiny, earned, candies };
+}
+
+// Spends `cost` of the family's candy and registers `species` ({ id, name, types, is_legendary,
+// sprite }) as evolved from `fromId`. Returns false, changing nothing, when the candy is short.
+function registerEvolution(game, fromId, species, cost){
+  const family = candyFamily(game.pokedex, fromId);
+  if(!((game.candy[family] || 0) >= cost)) return false;
+  game.candy[family] -= cost;
+  game.pokedex[species.id] = {
+    ...(game.pokedex[species.id] || {}),
+    id: species.id, name: species.name, types: species.types, caught: true, is_legendary: !!species.is_legendary,
+    sprite: species.sprite || null, capturedAt: (new Date()).toISOString(), shiny: false,
+    obtainedBy: 'evolution', evolvedFrom: fromId, family
+  };
+  game.captureCounter = (game.captureCounter || 0) + 1;
+  return true;
+}
+
+// --- achievements ---
+const TYPE_NAMES = ['normal','fire','water','grass','electric','ice','fighting','poison','ground','flying','psychic','bug','rock','ghost','dragon','dark','steel','fairy'];
+
+// One-shot achievements. `goal` may be a function of the context when it depends on
+// loaded data (type rosters); a missing goal means "not evaluable yet". Labels come from
+// ach.<id>.name/.desc, or from `label` plus `region`/`type` for the per-region/per-type families.
+const ACHIEVEMENTS = [
+  { id:'first-capture', goal:1, value:s=>s.caught, reward:{ money:500 } },
+  { id:'catch-50', goal:50, value:s=>s.caught, reward:{ balls:{ greatball:5 } } },
+  { id:'catch-250', goal:250, value:s=>s.caught, reward:{ balls:{ ultraball:10 } } },
+  { id:'first-legendary', goal:1, value:s=>s.legendaries, reward:{ balls:{ ultraball:3 } } },
+  { id:'shiny-1', goal:1, value:s=>s.shinies, reward:{ money:2000 } },
+  { id:'shiny-10', goal:10, value:s=>s.shinies, reward:{ balls:{ masterball:1 } } },
+  { id:'streak-5', goal:5, value:s=>s.bestStreak, reward:{ balls:{ greatball:3 } } },
+  ...REGIONS.map(r=>({ id:`complete-${r.id}`, label:'ach.region', region: r.name, goal: r.to - r.from + 1, value:s=>s.regionCaught(r), reward:{ money:10000, balls:{ masterball:1 } } })),
+  ...TYPE_NAMES.map(t=>({ id:`type-${t}`, label:'ach.type', type: t, goal:s=>s.typeTotal(t), value:s=>s.typeCaught(t), reward:{ money:3000 } })),
+];
+
+// Repeatable rewards, paid once per `every` steps of `value`.
+const MILESTONES = [
+  { id:'every-10', every:10, value:s=>s.captureCounter, reward:{ balls:{ greatball:1 } } },
+  { id:'every-100', every:100, value:s=>s.captureCounter, reward:{ balls:{ ultraball:1 } } },
+];
+
+// alternate forms live at ids 10000+; only national dex species up to maxId count
+function typeRoster(typeData, maxId){
+  return typeData.pokemon.map(p=>speciesIdFromUrl(p.pokemon.url)).filter(id=>id <= maxId);
+}
+
+function achievementContextFor({ pokedex, captureCounter, bestStreak, typeRosters }){
+  const caught = Object.values(pokedex).filter(p=>p && p.caught);
+  const isCaught = id => !!(pokedex[id] && pokedex[id].caught);
+  return {
+    caught: caught.length,
+    legendaries: caught.filter(p=>p.is_legendary).length,
+    shinies: caught.filter(p=>p.shiny).length,
+    captureCounter,
+    bestStreak,
+    regionCaught: r => { let n = 0; for(let id=r.from; id<=r.to; id++) if(isCaught(id)) n++; return n; },
+    typeTotal: t => typeRosters[t] ? typeRosters[t].length : null,
+    typeCaught: t => (typeRosters[t] || []).filter(isCaught).length,
+  };
+}
+
+function achievementGoal(a, s){ return typeof a.goal === 'function' ? a.goal(s) : a.goal; }
+
+// Marks newly reached achievements and due milestone payouts in `achievements` (the
+// save's achievement state) and returns them as [{ def, milestone }], one per payout.
+function collectAchievements(achievements, s){
+  const earned = [];
+  ACHIEVEMENTS.forEach(a=>{
+    if(achievements.unlocked[a.id]) return;
+    const goal = achievementGoal(a, s);
+    if(!goal || a.value(s) < goal) return;
+    achievements.unlocked[a.id] = (new Date()).toISOString();
+    earned.push({ def:a, milestone:false });
+  });
+  MILESTONES.forEach(m=>{
+    const due = Math.floor(m.value(s) / m.every);
+    const paid = achievements.milestones[m.id] || 0;
+    for(let i=paid; i<due; i++) earned.push({ def:m, milestone:true });
+    achievements.milestones[m.id] = Math.max(paid, due);
+  });
+  return earned;
+}
+
+// wallet: { money, inventory }
+function grantRewardTo(wallet, reward){
+  wallet.money += reward.money || 0;
+  Object.entries(reward.balls || {}).forEach(([id,n])=>{ if(wallet.inventory[id] !== -1) wallet.inventory[id] = (wallet.inventory[id] || 0) + n; });
+}
+
+// The rewards `to` (an achievement state) paid beyond `from`: its new unlocks and milestone
+// steps, as one { money, balls }. Merging two saves pays each reward once with it.
+function achievementRewardsBetween(from, to){
+  const total = { money:0, balls:{} };
+  const add = reward => {
+    total.money += reward.money || 0;
+    Object.entries(reward.balls || {}).forEach(([id,n])=>{ total.balls[id] = (total.balls[id] || 0) + n; });
+  };
+  ACHIEVEMENTS.forEach(a=>{ if(to.unlocked[a.id] && !from.unlocked[a.id]) add(a.reward); });
+  MILESTONES.forEach(m=>{ for(let i=from.milestones[m.id] || 0; i<(to.milestones[m.id] || 0); i++) add(m.reward); });
+  return total;
+}
+
+// consecutive successful throws; running away does not break it
+function trackStreak(achievements, caught){
+  achievements.streak = caught ? achievements.streak + 1 : 0;
+  achievements.bestStreak = Math.max(achievements.bestStreak, achievements.streak);
+}
+
+// --- daily challenge ---
+// Everyone playing on the same date meets the same encounters with the same ball budget.
+// Encounters and shake checks use separate streams, so throws never change what comes next.
+const DAILY_ENCOUNTERS = 20;
+const DAILY_BALLS = { pokeball:10, greatball:5, ultraball:3 };
+const DAILY_MARKS = { caught:'🟢', shiny:'✨', fled:'🔴', ran:'⚪' }; // spoiler-free: no species
+
+// local calendar date, YYYY-MM-DD
+function dailyDate(d = new Date()){
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth()+1)}-${pad(d.getDate())}`;
+}
+
+function dailyEncounters(date){
+  const rng = createRng(`daily-${date}:encounters`);
+  const pool = regionPool(REGIONS.map(r=>r.id));
+  return Array.from({length:DAILY_ENCOUNTERS}, ()=>rollEncounterFor(rng, { pool }));
+}
+
+// the shake stream, fast-forwarded past the checks already rolled in this run
+function dailyThrowRng(date, used = 0){
+  const rng = createRng(`daily-${date}:throws`);
+  for(let i=0; i<used; i++) rng.next('shake');
+  return rng;
+}
+
+function newDailyRun(date){
+  return { date, results: [], balls: { ...DAILY_BALLS }, rolls: 0, done: false };
+}
+
+// run.results: [{ result: 'caught'|'fled'|'ran', shiny, ball }]
+function dailySummary(run){
+  const budget = Object.values(DAILY_BALLS).reduce((a,b)=>a+b, 0);
+  const left = Object.values(run.balls).reduce((a,b)=>a+b, 0);
+  return {
+    played: run.results.length,
+    caught: run.results.filter(r=>r.result === 'caught').length,
+    shinies: run.results.filter(r=>r.result === 'caught' && r.shiny).length,
+    ballsUsed: budget - left, budget,
+    marks: run.results.map(r=>r.result === 'caught' && r.shiny ? 'shiny' : r.result) // keys of DAILY_MARKS
+  };
+}
+
+if(typeof module !== 'undefined' && module.exports){
+  module.exports = {
+    DEFAULT_INVENTORY, REGIONS, regionPool, createRng, randomSeed,
+    DEFAULT_CAPTURE_RATE, captureValue, captureChance, resolveCapture, captureParamsFor,
+    BATTLE_LEVEL, battleStats, buildTypeChart, typeEffectiveness, battleMoves, newBattle, battleTurn,
+    BALL_CATALOGUE, BALLS, ballModifier, captureReward, SHINY_BASE_ODDS, HUNT_TARGET_WEIGHT, shinyRollsFor, rollEncounterFor, weightedIndex,
+    HABITATS, timeOfDay, weatherAt, worldAt, worldWeight, worldFavours, weightsChecksum,
+    CANDY_PER_DUPLICATE, CANDY_PER_SHINY_DUPLICATE, evolutionCost, captureCandy, speciesIdFromUrl, evolutionFamily, flattenEvolutionChain,
+    candyFamily, registerCapture, registerEvolution,
+    TYPE_NAMES, ACHIEVEMENTS, MILESTONES, typeRoster, achievementContextFor, achievementGoal, collectAchievements, grantRewardTo, achievementRewardsBetween, trackStreak,
+    DAILY_ENCOUNTERS, DAILY_BALLS, DAILY_MARKS, dailyDate, dailyEncounters, dailyThrowRng, newDailyRun, dailySummary
+  };
+}
@@ -0,0 +1,887 @@
+// i18n.js - locale catalogues and string lookup
+// Strings are keyed by dotted ids and may contain {placeholders}. index.html marks its
+// static text with data-i18n (text content) and data-i18n-<attr> (placeholder, title,
+// aria-label); RNG.js calls tr() for everything it renders.
+
+const LOCALE_KEY = 'pokemonrng_locale';
+const DEFAULT_LOCALE = 'pt-BR';
+
+const LOCALES = {
+  'pt-BR': {
+    name: 'Português (BR)',
+    strings: {
+      'app.title': 'Pokémon RNG - Completar Pokédex',
+      'app.heading': 'Pokémon RNG — Complete a Pokédex',
+      'app.footer': 'Dados via PokéAPI • Projeto local',
+      'app.language': 'Idioma',
+      'app.close': 'Fechar',
+
+      'toolbar.encounter': 'Encontrar Pokémon',
+      'toolbar.horde': 'Encontrar horda (3)',
+      'toolbar.export': 'Exportar Pokédex',
+      'toolbar.import': 'Importar',
+      'toolbar.reset': 'Resetar Pokédex',
+      'toolbar.stats': 'Estatísticas',
+      'toolbar.daily': 'Desafio diário',
+      'toolbar.snapshots': 'Histórico',
+      'toolbar.settings': 'Configurações',
+      'toolbar.regions': 'Regiões:',
+      'search.placeholder': 'Buscar: nome, #25, 1-151, type:fire, !caught',
+      'search.help': 'Filtros: type:fire (type:fire+flying = ambos, type:fire|water = qualquer), caught / !caught, shiny, legendary, 1-151, sort:name / sort:-date',
+      'progress.caught': 'Progresso:',
+      'progress.legendary': 'Lendários capturados:',
+      'progress.ball': 'Bola atual:',
+      'progress.shinies': 'Shinies:',
+
+      'profile.label': 'Perfil:',
+      'profile.defaultName': 'Principal',
+      'profile.new': '+ Novo perfil',
+      'profile.rename': 'Renomear',
+      'profile.duplicate': 'Duplicar',
+      'profile.delete': 'Excluir',
+      'profile.namePrompt': 'Nome do perfil:',
+      'profile.copyName': '{name} (cópia)',
+      'profile.copyFailed': 'Sem espaço para duplicar o perfil',
+      'profile.created': 'Perfil criado: {name}',
+      'profile.switched': 'Perfil: {name}',
+      'profile.deleted': 'Perfil excluído: {name}',
+      'profile.restored': 'Perfil restaurado: {name}',
+      'profile.restoreFailed': 'Sem espaço para restaurar o perfil',
+      'profile.confirmDelete': 'Excluir o perfil "{name}" e todo o seu progresso?',
+      'profile.busy': 'Termine o encontro atual antes de trocar de perfil',
+
+      'seed.label': 'Seed:',
+      'seed.copy': 'Copiar link',
+      'seed.copied': 'Link com a seed copiado',
+      'seed.prompt': 'Link da seed:',
+      'session.export': 'Exportar sessão',
+      'session.replay': 'Reproduzir sessão',
+      'session.invalid': 'Arquivo de sessão inválido',
+      'session.error': 'Erro ao reproduzir sessão',
+      'session.replaying': 'Reproduzindo sessão {seed}…',
+      'session.ok': 'Replay concluído: {n} rolagens conferem',
+      'session.diverged': 'Replay divergiu na rolagem #{index} ({label})',
+      'session.dataChanged': 'Replay interrompido: os dados de tipos ou habitats mudaram desde a gravação',
+
+      'encounter.balls': 'Bolas:',
+      'encounter.catch': 'Capturar',
+      'encounter.run': 'Fugir',
+      'encounter.none': 'Nenhum Pokémon encontrado',
+      'encounter.noBalls': 'Sem bolas desse tipo!',
+      'encounter.error': 'Erro ao encontrar Pokémon',
+      'encounter.queueFull': 'Aguarde: a fila de encontros está cheia',
+      'encounter.queued': '{n} na fila',
+      'encounter.shiny': '{name} é shiny! ✨',
+      'encounter.shinyLegendary': '{name} é um Lendário Shiny — captura garantida! ✨',
+      'encounter.odds': 'Chance: {pct}%',
+      'encounter.shake': '{dots} sacudiu {n}x',
+      'encounter.click': 'Click!',
+      'encounter.caught': '{name} capturado!',
+      'encounter.caughtShiny': '{name} shiny capturado! ✨',
+      'encounter.escaped': '{name} escapou após {n} sacudida(s) — a Pokébola quebrou!',
+      'encounter.ran': 'Você fugiu de {name}',
+      'encounter.ranHorde': 'Você fugiu da horda',
+
+      'mart.buy': 'Comprar',
+      'mart.noMoney': 'Dinheiro insuficiente',
+      'mart.bought': 'Comprou {qty}× {ball} por {price}',
+      'ball.pokeball': 'Pokébola',
+      'ball.pokeball.info': 'Infinita',
+      'ball.greatball': 'Great Ball',
+      'ball.greatball.info': '1.5×',
+      'ball.ultraball': 'Ultra Ball',
+      'ball.ultraball.info': '2×',
+      'ball.quickball': 'Quick Ball',
+      'ball.quickball.info': '5× nos primeiros 3 segundos do encontro',
+      'ball.timerball': 'Timer Ball',
+      'ball.timerball.info': '+0.3× a cada 5 segundos de encontro (máx. 4×)',
+      'ball.duskball': 'Dusk Ball',
+      'ball.duskball.info': '3× à noite (19h–6h) ou em cavernas',
+      'ball.netball': 'Net Ball',
+      'ball.netball.info': '3.5× em tipos Água e Inseto',
+      'ball.diveball': 'Dive Ball',
+      'ball.diveball.info': '3.5× no mar e à beira d’água, 2× na chuva',
+      'ball.masterball': 'Master Ball',
+      'ball.masterball.info': 'Captura garantida',
+
+      'dex.title': 'Pokédex',
+      'dex.prev': 'Anterior',
+      'dex.next': 'Próxima',
+      'dex.page': 'Página',
+      'dex.pageSize': 'Itens por página:',
+      'dex.filters': 'Filtros e ordenação •',
+      'dex.results': 'resultados',
+      'dex.empty': 'Nenhum Pokémon corresponde aos filtros.',
+      'filter.caught': 'Capturado',
+      'filter.shiny': 'Shiny',
+      'filter.legendary': 'Lendário',
+      'filter.any': 'todos',
+      'filter.yes': 'sim',
+      'filter.no': 'não',
+      'filter.types': 'Tipos',
+      'filter.typeAnd': 'todos (E)',
+      'filter.typeOr': 'qualquer (OU)',
+      'filter.from': 'Nº de',
+      'filter.to': 'até',
+      'filter.sortBy': 'Ordenar por',
+      'filter.desc': 'decrescente',
+      'filter.clear': 'Limpar filtros',
+      'sort.number': 'Número',
+      'sort.name': 'Nome',
+      'sort.date': 'Data de captura',
+
+      'stat.hp': 'HP',
+      'stat.attack': 'Ataque',
+      'stat.defense': 'Defesa',
+      'stat.special-attack': 'At. Esp.',
+      'stat.special-defense': 'Def. Esp.',
+      'stat.speed': 'Velocidade',
+      'detail.loadError': 'Erro ao carregar Pokémon',
+      'detail.legendary': 'Este é lendário',
+      'detail.cry': '🔊 Ouvir grito',
+      'detail.cryError': 'Não foi possível tocar o grito',
+      'detail.baseStats': 'Status base',
+      'detail.abilities': 'Habilidades',
+      'detail.hiddenAbility': '{name} (oculta)',
+      'detail.size': 'Medidas',
+      'detail.sizeValue': 'Altura: {height} m • Peso: {weight} kg',
+      'detail.description': 'Descrição',
+      'detail.locked': 'Capture este Pokémon para ver status, habilidades, medidas e descrição.',
+      'detail.evolution': 'Evolução',
+      'detail.evolveTo': 'Evoluir para {name} ({cost} 🍬)',
+      'detail.alreadyOwned': ' — já registrado',
+      'detail.yourData': 'Seus dados',
+      'detail.firstCapture': 'Primeira captura: {date}',
+      'detail.encounters': 'Encontros: {n}',
+      'detail.candy': 'Doces: {n} 🍬',
+      'detail.byEvolution': 'Obtido por evolução',
+      'detail.byEvolutionFrom': 'Obtido por evolução de {name}',
+      'detail.shinyCaught': 'Shiny capturado ✨ {date}',
+      'detail.shinyNo': 'Shiny: não',
+      'detail.huntActive': 'Caça ativa • corrente {chain}',
+      'detail.huntStart': 'Caçar shiny deste Pokémon',
+
+      'evolve.notOwned': 'Capture este Pokémon antes de evoluí-lo',
+      'evolve.alreadyOwned': 'Essa evolução já está na Pokédex',
+      'evolve.loadError': 'Erro ao carregar a evolução',
+      'evolve.invalid': '{name} não evolui para #{id}',
+      'evolve.noCandy': 'Doces insuficientes ({have}/{cost})',
+      'evolve.done': '{from} evoluiu para {to}! 🎉',
+
+      'import.invalidFile': 'Arquivo inválido',
+      'import.rejectedTitle': 'Arquivo rejeitado',
+      'import.rejected': 'O save tem {n} erro(s) e nada foi importado:',
+      'import.more': '… e mais {n}.',
+      'import.title': 'Importar Pokédex',
+      'import.summary': 'Arquivo: <strong>{file}</strong> capturados • Atual: <strong>{current}</strong> capturados',
+      'import.help': 'Mesclar mantém a captura mais antiga de cada Pokémon e todos os shinies. Substituir descarta o progresso atual.',
+      'import.merge': 'Mesclar',
+      'import.replace': 'Substituir',
+      'import.confirmReplace': 'Substituir todo o progresso atual pelo arquivo?',
+      'import.merged': 'Pokédex mesclada',
+      'import.replaced': 'Pokédex importada',
+      'reset.confirm': 'Resetar Pokédex? Bolas, dinheiro, doces e conquistas também voltam ao início. Uma cópia fica no Histórico.',
+      'reset.done': 'Pokédex resetada',
+
+      'save.durableOnly': 'localStorage cheio — o progresso segue salvo no IndexedDB',
+      'storage.title': 'Armazenamento cheio',
+      'storage.body': 'O navegador ficou sem espaço para salvar. Seu progresso continua nesta aba e nada salvo antes foi apagado.',
+      'storage.stepExport': 'Guarde uma cópia do progresso em arquivo.',
+      'storage.free': 'Liberar espaço',
+      'storage.stepFree': 'Apaga o cache de dados e sprites da PokéAPI, que pode ser baixado de novo.',
+      'storage.freed': 'Cache da PokéAPI apagado',
+      'storage.retry': 'Tentar de novo',
+      'storage.stepRetry': 'Salva o progresso de novo.',
+      'storage.stillFull': 'Ainda sem espaço. Exporte a Pokédex ou libere espaço nas configurações do navegador.',
+      'storage.saved': 'Progresso salvo',
+      'save.unsupportedVersion': 'versão de save não suportada: {version}',
+      'err.object': '{path}: esperado um objeto',
+      'err.dexId': '{path}: deve ser um inteiro positivo igual à chave (recebido {value})',
+      'err.name': '{path}: esperado um nome',
+      'err.boolean': '{path}: esperado true/false',
+      'err.types': '{path}: esperado uma lista de tipos',
+      'err.url': '{path}: esperado uma URL',
+      'err.date': '{path}: data inválida ({value})',
+      'err.unknownValue': '{path}: valor desconhecido {value}',
+      'err.dexNumber': '{path}: esperado um número da Pokédex',
+      'err.obtainedBy': '{path}: valor desconhecido {value}',
+      'err.dexNumberOrNull': '{path}: esperado um número da Pokédex ou null (recebido {value})',
+      'err.nonNegative': '{path}: esperado um inteiro >= 0 (recebido {value})',
+      'err.pokedex': 'pokedex: esperado um objeto { id: entrada }',
+      'err.inventory': 'inventory: esperado um objeto { bola: quantidade }',
+      'err.ballCount': '{path}: quantidade inválida ({value})',
+      'err.regionsEmpty': 'settings.regions: esperado ao menos uma região',
+      'err.regionUnknown': 'settings.regions: região desconhecida {value}',
+      'err.unlockedMap': 'achievements.unlocked: esperado { id: data }',
+      'err.milestoneMap': 'achievements.milestones: esperado { id: inteiro >= 0 }',
+      'err.candy': 'candy: esperado um objeto { id: doces }',
+      'err.candyEntry': '{path}: esperado um inteiro >= 0 para um número da Pokédex (recebido {value})',
+      'err.encountered': 'encountered: esperado um objeto { id: encontros }',
+      'err.unlocks': 'unlocks: esperado uma lista de textos',
+
+      'ach.title': 'Conquistas',
+      'ach.first-capture.name': 'Primeiro passo',
+      'ach.first-capture.desc': 'Capture seu primeiro Pokémon',
+      'ach.catch-50.name': 'Colecionador',
+      'ach.catch-50.desc': 'Capture 50 espécies',
+      'ach.catch-250.name': 'Enciclopédia',
+      'ach.catch-250.desc': 'Capture 250 espécies',
+      'ach.first-legendary.name': 'Lenda viva',
+      'ach.first-legendary.desc': 'Capture seu primeiro lendário',
+      'ach.shiny-1.name': 'Brilho raro',
+      'ach.shiny-1.desc': 'Capture um shiny',
+      'ach.shiny-10.name': 'Caçador de brilhos',
+      'ach.shiny-10.desc': 'Capture 10 shinies',
+      'ach.streak-5.name': 'Mira certeira',
+      'ach.streak-5.desc': 'Capture 5 seguidos sem errar uma bola',
+      'ach.region.name': 'Pokédex de {region}',
+      'ach.region.desc': 'Complete a Pokédex de {region}',
+      'ach.type.name': 'Especialista {type}',
+      'ach.type.desc': 'Capture todos os Pokémon do tipo {type}',
+      'milestone.every-10': 'A cada 10 espécies',
+      'milestone.every-100': 'A cada 100 espécies',
+      'ach.rewards': '{n} recompensas: {list}',
+      'ach.rewardsMany': '{n} recompensas recebidas — veja o painel de Conquistas',
+      'ach.unlockedOn': 'Desbloqueada em {date}',
+      'ach.loading': 'Carregando…',
+      'ach.nextIn': 'Próxima em {n} • recebida {times}×',
+
+      'stats.title': 'Estatísticas',
+      'stats.since': 'Desde {date} • últimos {n} eventos (máx. {max})',
+      'stats.noEvents': 'Nenhum evento registrado ainda.',
+      'stats.encounters': 'encontros',
+      'stats.captures': 'capturas',
+      'stats.perCapture': 'encontros por captura',
+      'stats.shinies': 'shinies capturados/vistos',
+      'stats.ballRate': 'Taxa de sucesso por bola',
+      'stats.ball': 'Bola',
+      'stats.thrown': 'Lançadas',
+      'stats.caught': 'Capturas',
+      'stats.success': 'Sucesso',
+      'stats.noThrows': 'Nenhuma bola lançada ainda.',
+      'stats.escapes': 'Mais escaparam',
+      'stats.pokemon': 'Pokémon',
+      'stats.fled': 'Fugiu da bola',
+      'stats.ran': 'Você fugiu',
+      'stats.noEscapes': 'Nenhuma fuga ainda.',
+      'stats.progress': 'Progresso da Pokédex',
+      'stats.exportCsv': 'Exportar histórico (CSV)',
+      'history.full': 'Sem espaço para salvar o histórico de encontros. Ele continua completo nesta aba.',
+      'history.exportTrim': 'Exportar CSV e liberar espaço',
+      'history.trimmed': 'Histórico exportado; ficaram os {n} eventos mais recentes',
+      'timeline.empty': 'Capture mais Pokémon para ver a linha do tempo.',
+      'timeline.caught': '{n} capturados',
+
+      'shiny.charmUnlocked': 'Pokédex completa! Shiny Charm desbloqueado ✨',
+      'modifier.shiny-charm': 'Shiny Charm',
+      'modifier.shiny-charm.hint': 'Complete a Pokédex nacional para desbloquear',
+      'modifier.rolls': '+{n} rolagens',
+      'hunt.started': 'Caça shiny iniciada: {name}',
+      'hunt.broken': 'Corrente quebrada!',
+      'hunt.hunting': 'Caçando:',
+      'hunt.chain': 'Corrente: {n}',
+      'hunt.best': 'Recorde: {n}',
+      'hunt.odds': 'Chance shiny: {odds}',
+      'hunt.stop': 'Parar caça',
+      'hunt.none': 'Sem caça shiny ativa',
+      'hunt.start': 'Caçar este Pokémon',
+      'hunt.unavailable': 'Só dá para caçar espécies já vistas e das regiões ativas',
+
+      'daily.title': 'Desafio diário',
+      'daily.loading': 'Carregando encontro…',
+      'daily.loadError': 'Não foi possível carregar o encontro. Tente de novo mais tarde.',
+      'daily.progress': 'Encontro {n} de {total}',
+      'daily.done': 'Desafio de hoje concluído!',
+      'daily.outOfBalls': 'Acabaram as bolas — desafio de hoje encerrado.',
+      'daily.ballsUsed': 'bolas usadas',
+      'daily.shareTitle': 'Pokémon RNG • Desafio diário {date}',
+      'daily.shareStats': '🎯 {caught}/{total} • ✨ {shinies} • 🎒 {used}/{budget} bolas',
+      'daily.cardStats': 'Capturas {caught}/{total}   Shinies {shinies}   Bolas {used}/{budget}',
+      'daily.copyText': 'Copiar resultado',
+      'daily.copyImage': 'Copiar imagem',
+      'daily.download': 'Baixar imagem',
+      'daily.textCopied': 'Resultado copiado',
+      'daily.imageCopied': 'Imagem copiada',
+      'daily.imageCopyFailed': 'Não foi possível copiar a imagem',
+      'daily.comeBack': 'Um novo desafio começa à meia-noite. O desafio não altera sua Pokédex.',
+
+      'settings.title': 'Configurações',
+      'settings.animations': 'Animações',
+      'settings.animationsHint': 'Segue a opção "reduzir movimento" do sistema até você mudar.',
+      'settings.sound': 'Som de captura',
+      'settings.hotkeys': 'Atalhos de teclado',
+      'settings.hotkeysHelp': 'Selecione um campo e pressione a nova tecla; Backspace remove o atalho. Na Pokédex, as setas movem entre os Pokémon e Enter abre os detalhes.',
+      'settings.reset': 'Restaurar padrões',
+      'settings.shortcut': 'Atalho: {key}',
+      'hotkey.encounter': 'Encontrar Pokémon',
+      'hotkey.horde': 'Encontrar horda',
+      'hotkey.catch': 'Capturar',
+      'hotkey.run': 'Fugir',
+      'hotkey.prevBall': 'Bola anterior',
+      'hotkey.nextBall': 'Próxima bola',
+      'hotkey.prevPage': 'Página anterior da Pokédex',
+      'hotkey.nextPage': 'Próxima página da Pokédex',
+      'hotkey.undo': 'Desfazer a última ação',
+      'a11y.appeared': 'Um {name} selvagem apareceu! Tipo: {types}',
+      'a11y.appearedShiny': 'Um {name} shiny apareceu! Tipo: {types}',
+      'a11y.horde': 'Uma horda apareceu: {names}',
+      'a11y.ball': 'Bola selecionada: {ball}',
+      'a11y.notCaught': 'não capturado',
+      'snapshot.title': 'Histórico de progresso',
+      'snapshot.help': 'Cópias automáticas antes de resetar, importar ou restaurar e a cada 10 minutos de jogo. As {n} mais recentes são mantidas. Agora: {caught} capturados.',
+      'snapshot.date': 'Data',
+      'snapshot.reason': 'Motivo',
+      'snapshot.reason.auto': 'Automático',
+      'snapshot.reason.manual': 'Manual',
+      'snapshot.reason.reset': 'Antes de resetar',
+      'snapshot.reason.import': 'Antes de importar',
+      'snapshot.reason.restore': 'Antes de restaurar',
+      'snapshot.caught': 'Capturados',
+      'snapshot.shinies': 'Shinies',
+      'snapshot.money': 'Dinheiro',
+      'snapshot.restore': 'Restaurar',
+      'snapshot.now': 'Salvar cópia agora',
+      'snapshot.none': 'Nenhuma cópia ainda.',
+      'snapshot.restored': 'Progresso de {date} restaurado',
+      'snapshot.unreadable': 'Esta cópia não pode ser lida',
+      'snapshot.busy': 'Aguarde o fim da captura',
+      'undo.action': 'Desfazer',
+      'undo.done': 'Ação desfeita',
+      'battle.lead': 'Líder:',
+      'battle.noLead': 'Capture um Pokémon para lutar com ele e enfraquecer os selvagens.',
+      'battle.attack': 'Ataque {type}',
+      'battle.move.false-swipe': 'Falso Golpe',
+      'battle.move.sleep': 'Fazer dormir',
+      'battle.move.paralysis': 'Paralisar',
+      'battle.move.poison': 'Envenenar',
+      'battle.move.burn': 'Queimar',
+      'battle.move.freeze': 'Congelar',
+      'battle.status.sleep': 'Dormindo',
+      'battle.status.paralysis': 'Paralisado',
+      'battle.status.poison': 'Envenenado',
+      'battle.status.burn': 'Queimado',
+      'battle.status.freeze': 'Congelado',
+      'battle.hit': '{name} usou um ataque {type}: {target} perdeu {n} HP.',
+      'battle.hit.false-swipe': '{name} usou Falso Golpe: {target} perdeu {n} HP.',
+      'battle.super': 'É super efetivo!',
+      'battle.weak': 'Não é muito efetivo…',
+      'battle.immune': 'Não teve efeito.',
+      'battle.missed': '{name} errou.',
+      'battle.failed': '{name} tentou, mas não funcionou.',
+      'battle.inflicted.sleep': '{name} adormeceu!',
+      'battle.inflicted.paralysis': '{name} ficou paralisado!',
+      'battle.inflicted.poison': '{name} foi envenenado!',
+      'battle.inflicted.burn': '{name} foi queimado!',
+      'battle.inflicted.freeze': '{name} congelou!',
+      'battle.skipped.sleep': '{name} está dormindo.',
+      'battle.skipped.freeze': '{name} está congelado.',
+      'battle.skipped.paralysis': '{name} está paralisado e não se move!',
+      'battle.cured.sleep': '{name} acordou!',
+      'battle.cured.freeze': '{name} descongelou!',
+      'battle.chip.poison': '{name} perdeu {n} HP pelo veneno.',
+      'battle.chip.burn': '{name} perdeu {n} HP pela queimadura.',
+      'battle.fled': '{name} fugiu!',
+      'battle.fainted': '{name} desmaiou!',
+      'battle.leadFainted': '{name} desmaiou! Ainda dá para arremessar ou fugir.',
+      'battle.error': 'Não foi possível carregar o líder',
+      'battle.loadingTypes': 'Carregando a tabela de tipos…',
+      'world.time.morning': 'Manhã',
+      'world.time.day': 'Dia',
+      'world.time.evening': 'Entardecer',
+      'world.time.night': 'Noite',
+      'world.weather.clear': 'Céu limpo',
+      'world.weather.rain': 'Chuva',
+      'world.weather.sun': 'Sol forte',
+      'world.weather.snow': 'Neve',
+      'world.weather.sandstorm': 'Tempestade de areia',
+      'world.weather.fog': 'Neblina',
+      'world.habitat': 'Habitat: {habitat}',
+      'world.favours': 'Mais comuns agora: {types}',
+      'habitat.cave': 'Caverna',
+      'habitat.forest': 'Floresta',
+      'habitat.grassland': 'Campo',
+      'habitat.mountain': 'Montanha',
+      'habitat.rare': 'Raro',
+      'habitat.rough-terrain': 'Terreno acidentado',
+      'habitat.sea': 'Mar',
+      'habitat.urban': 'Cidade',
+      'habitat.waters-edge': 'Beira d’água',
+
+      'region.all': 'Todas',
+      'region.gen': 'Gen {n}',
+      'region.atLeastOne': 'Escolha ao menos uma região',
+
+      // PokéAPI has no Portuguese type names, so these are the fallback
+      'type.normal': 'Normal', 'type.fire': 'Fogo', 'type.water': 'Água', 'type.grass': 'Planta',
+      'type.electric': 'Elétrico', 'type.ice': 'Gelo', 'type.fighting': 'Lutador', 'type.poison': 'Venenoso',
+      'type.ground': 'Terrestre', 'type.flying': 'Voador', 'type.psychic': 'Psíquico', 'type.bug': 'Inseto',
+      'type.rock': 'Pedra', 'type.ghost': 'Fantasma', 'type.dragon': 'Dragão', 'type.dark': 'Sombrio',
+      'type.steel': 'Aço', 'type.fairy': 'Fada',
+    }
+  },
+  en: {
+    name: 'English',
+    strings: {
+      'app.title': 'Pokémon RNG - Complete the Pokédex',
+      'app.heading': 'Pokémon RNG — Complete the Pokédex',
+      'app.footer': 'Data from PokéAPI • Local project',
+      'app.language': 'Language',
+      'app.close': 'Close',
+
+      'toolbar.encounter': 'Find Pokémon',
+      'toolbar.horde': 'Find a horde (3)',
+      'toolbar.export': 'Export Pokédex',
+      'toolbar.import': 'Import',
+      'toolbar.reset': 'Reset Pokédex',
+      'toolbar.stats': 'Statistics',
+      'toolbar.daily': 'Daily challenge',
+      'toolbar.snapshots': 'History',
+      'toolbar.settings': 'Settings',
+      'toolbar.regions': 'Regions:',
+      'search.placeholder': 'Search: name, #25, 1-151, type:fire, !caught',
+      'search.help': 'Filters: type:fire (type:fire+flying = both, type:fire|water = either), caught / !caught, shiny, legendary, 1-151, sort:name / sort:-date',
+      'progress.caught': 'Progress:',
+      'progress.legendary': 'Legendaries caught:',
+      'progress.ball': 'Current ball:',
+      'progress.shinies': 'Shinies:',
+
+      'profile.label': 'Profile:',
+      'profile.defaultName': 'Main',
+      'profile.new': '+ New profile',
+      'profile.rename': 'Rename',
+      'profile.duplicate': 'Duplicate',
+      'profile.delete': 'Delete',
+      'profile.namePrompt': 'Profile name:',
+      'profile.copyName': '{name} (copy)',
+      'profile.copyFailed': 'Not enough space to duplicate the profile',
+      'profile.created': 'Profile created: {name}',
+      'profile.switched': 'Profile: {name}',
+      'profile.deleted': 'Profile deleted: {name}',
+      'profile.restored': 'Profile restored: {name}',
+      'profile.restoreFailed': 'Not enough space to restore the profile',
+      'profile.confirmDelete': 'Delete the profile "{name}" and all of its progress?',
+      'profile.busy': 'Finish the current encounter before switching profiles',
+
+      'seed.label': 'Seed:',
+      'seed.copy': 'Copy link',
+      'seed.copied': 'Seed link copied',
+      'seed.prompt': 'Seed link:',
+      'session.export': 'Export session',
+      'session.replay': 'Replay session',
+      'session.invalid': 'Invalid session file',
+      'session.error': 'Could not replay the session',
+      'session.replaying': 'Replaying session {seed}…',
+      'session.ok': 'Replay finished: all {n} rolls match',
+      'session.diverged': 'Replay diverged at roll #{index} ({label})',
+      'session.dataChanged': 'Replay stopped: the type or habitat data changed since the session was recorded',
+
+      'encounter.balls': 'Balls:',
+      'encounter.catch': 'Catch',
+      'encounter.run': 'Run',
+      'encounter.none': 'No Pokémon found',
+      'encounter.noBalls': 'Out of that ball!',
+      'encounter.error': 'Could not find a Pokémon',
+      'encounter.queueFull': 'Please wait: the encounter queue is full',
+      'encounter.queued': '{n} queued',
+      'encounter.shiny': '{name} is shiny! ✨',
+      'encounter.shinyLegendary': '{name} is a shiny legendary — guaranteed catch! ✨',
+      'encounter.odds': 'Chance: {pct}%',
+      'encounter.shake': '{dots} shook {n}x',
+      'encounter.click': 'Click!',
+      'encounter.caught': '{name} caught!',
+      'encounter.caughtShiny': 'Shiny {name} caught! ✨',
+      'encounter.escaped': '{name} escaped after {n} shake(s) — the Poké Ball broke!',
+      'encounter.ran': 'You ran away from {name}',
+      'encounter.ranHorde': 'You fled from the horde',
+
+      'mart.buy': 'Buy',
+      'mart.noMoney': 'Not enough money',
+      'mart.bought': 'Bought {qty}× {ball} for {price}',
+      'ball.pokeball': 'Poké Ball',
+      'ball.pokeball.info': 'Unlimited',
+      'ball.greatball': 'Great Ball',
+      'ball.greatball.info': '1.5×',
+      'ball.ultraball': 'Ultra Ball',
+      'ball.ultraball.info': '2×',
+      'ball.quickball': 'Quick Ball',
+      'ball.quickball.info': '5× in the first 3 seconds of the encounter',
+      'ball.timerball': 'Timer Ball',
+      'ball.timerball.info': '+0.3× every 5 seconds of the encounter (max 4×)',
+      'ball.duskball': 'Dusk Ball',
+      'ball.duskball.info': '3× at night (7 pm–6 am) or in caves',
+      'ball.netball': 'Net Ball',
+      'ball.netball.info': '3.5× on Water and Bug types',
+      'ball.diveball': 'Dive Ball',
+      'ball.diveball.info': '3.5× at sea and by the water, 2× in rain',
+      'ball.masterball': 'Master Ball',
+      'ball.masterball.info': 'Guaranteed catch',
+
+      'dex.title': 'Pokédex',
+      'dex.prev': 'Previous',
+      'dex.next': 'Next',
+      'dex.page': 'Page',
+      'dex.pageSize': 'Per page:',
+      'dex.filters': 'Filters and sorting •',
+      'dex.results': 'results',
+      'dex.empty': 'No Pokémon match the filters.',
+      'filter.caught': 'Caught',
+      'filter.shiny': 'Shiny',
+      'filter.legendary': 'Legendary',
+      'filter.any': 'any',
+      'filter.yes': 'yes',
+      'filter.no': 'no',
+      'filter.types': 'Types',
+      'filter.typeAnd': 'all (AND)',
+      'filter.typeOr': 'any (OR)',
+      'filter.from': 'No. from',
+      'filter.to': 'to',
+      'filter.sortBy': 'Sort by',
+      'filter.desc': 'descending',
+      'filter.clear': 'Clear filters',
+      'sort.number': 'Number',
+      'sort.name': 'Name',
+      'sort.date': 'Capture date',
+
+      'stat.hp': 'HP',
+      'stat.attack': 'Attack',
+      'stat.defense': 'Defense',
+      'stat.special-attack': 'Sp. Atk',
+      'stat.special-defense': 'Sp. Def',
+      'stat.speed': 'Speed',
+      'detail.loadError': 'Could not load the Pokémon',
+      'detail.legendary': 'This one is legendary',
+      'detail.cry': '🔊 Play cry',
+      'detail.cryError': 'Could not play the cry',
+      'detail.baseStats': 'Base stats',
+      'detail.abilities': 'Abilities',
+      'detail.hiddenAbility': '{name} (hidden)',
+      'detail.size': 'Size',
+      'detail.sizeValue': 'Height: {height} m • Weight: {weight} kg',
+      'detail.description': 'Description',
+      'detail.locked': 'Catch this Pokémon to see its stats, abilities, size and description.',
+      'detail.evolution': 'Evolution',
+      'detail.evolveTo': 'Evolve into {name} ({cost} 🍬)',
+      'detail.alreadyOwned': ' — already registered',
+      'detail.yourData': 'Your data',
+      'detail.firstCapture': 'First caught: {date}',
+      'detail.encounters': 'Encounters: {n}',
+      'detail.candy': 'Candy: {n} 🍬',
+      'detail.byEvolution': 'Obtained by evolution',
+      'detail.byEvolutionFrom': 'Evolved from {name}',
+      'detail.shinyCaught': 'Shiny caught ✨ {date}',
+      'detail.shinyNo': 'Shiny: no',
+      'detail.huntActive': 'Hunt active • chain {chain}',
+      'detail.huntStart': 'Shiny-hunt this Pokémon',
+
+      'evolve.notOwned': 'Catch this Pokémon before evolving it',
+      'evolve.alreadyOwned': 'That evolution is already in your Pokédex',
+      'evolve.loadError': 'Could not load the evolution',
+      'evolve.invalid': '{name} does not evolve into #{id}',
+      'evolve.noCandy': 'Not enough candy ({have}/{cost})',
+      'evolve.done': '{from} evolved into {to}! 🎉',
+
+      'import.invalidFile': 'Invalid file',
+      'import.rejectedTitle': 'File rejected',
+      'import.rejected': 'The save has {n} error(s) and nothing was imported:',
+      'import.more': '… and {n} more.',
+      'import.title': 'Import Pokédex',
+      'import.summary': 'File: <strong>{file}</strong> caught • Current: <strong>{current}</strong> caught',
+      'import.help': 'Merge keeps the earliest capture of each Pokémon and every shiny. Replace discards your current progress.',
+      'import.merge': 'Merge',
+      'import.replace': 'Replace',
+      'import.confirmReplace': 'Replace all current progress with the file?',
+      'import.merged': 'Pokédex merged',
+      'import.replaced': 'Pokédex imported',
+      'reset.confirm': 'Reset the Pokédex? Balls, money, candy and achievements start over too. A copy is kept in History.',
+      'reset.done': 'Pokédex reset',
+
+      'save.durableOnly': 'localStorage is full — progress is still saved in IndexedDB',
+      'storage.title': 'Storage is full',
+      'storage.body': 'The browser ran out of space for saving. Your progress is still open in this tab and nothing saved earlier was deleted.',
+      'storage.stepExport': 'Keep a copy of your progress in a file.',
+      'storage.free': 'Free up space',
+      'storage.stepFree': 'Deletes the cached PokéAPI data and sprites, which can be downloaded again.',
+      'storage.freed': 'PokéAPI cache deleted',
+      'storage.retry': 'Try again',
+      'storage.stepRetry': 'Saves your progress again.',
+      'storage.stillFull': 'Still out of space. Export the Pokédex or free up space in the browser settings.',
+      'storage.saved': 'Progress saved',
+      'save.unsupportedVersion': 'unsupported save version: {version}',
+      'err.object': '{path}: expected an object',
+      'err.dexId': '{path}: must be a positive integer equal to the key (got {value})',
+      'err.name': '{path}: expected a name',
+      'err.boolean': '{path}: expected true/false',
+      'err.types': '{path}: expected a list of types',
+      'err.url': '{path}: expected a URL',
+      'err.date': '{path}: invalid date ({value})',
+      'err.unknownValue': '{path}: unknown value {value}',
+      'err.dexNumber': '{path}: expected a Pokédex number',
+      'err.obtainedBy': '{path}: unknown value {value}',
+      'err.dexNumberOrNull': '{path}: expected a Pokédex number or null (got {value})',
+      'err.nonNegative': '{path}: expected an integer >= 0 (got {value})',
+      'err.pokedex': 'pokedex: expected an object { id: entry }',
+      'err.inventory': 'inventory: expected an object { ball: count }',
+      'err.ballCount': '{path}: invalid count ({value})',
+      'err.regionsEmpty': 'settings.regions: expected at least one region',
+      'err.regionUnknown': 'settings.regions: unknown region {value}',
+      'err.unlockedMap': 'achievements.unlocked: expected { id: date }',
+      'err.milestoneMap': 'achievements.milestones: expected { id: integer >= 0 }',
+      'err.candy': 'candy: expected an object { id: candies }',
+      'err.candyEntry': '{path}: expected an integer >= 0 for a Pokédex number (got {value})',
+      'err.encountered': 'encountered: expected an object { id: encounters }',
+      'err.unlocks': 'unlocks: expected a list of strings',
+
+      'ach.title': 'Achievements',
+      'ach.first-capture.name': 'First steps',
+      'ach.first-capture.desc': 'Catch your first Pokémon',
+      'ach.catch-50.name': 'Collector',
+      'ach.catch-50.desc': 'Catch 50 species',
+      'ach.catch-250.name': 'Encyclopedia',
+      'ach.catch-250.desc': 'Catch 250 species',
+      'ach.first-legendary.name': 'Living legend',
+      'ach.first-legendary.desc': 'Catch your first legendary',
+      'ach.shiny-1.name': 'Rare sparkle',
+      'ach.shiny-1.desc': 'Catch a shiny',
+      'ach.shiny-10.name': 'Sparkle hunter',
+      'ach.shiny-10.desc': 'Catch 10 shinies',
+      'ach.streak-5.name': 'Sharp aim',
+      'ach.streak-5.desc': 'Catch 5 in a row without missing a ball',
+      'ach.region.name': '{region} Pokédex',
+      'ach.region.desc': 'Complete the {region} Pokédex',
+      'ach.type.name': '{type} Specialist',
+      'ach.type.desc': 'Catch every {type}-type Pokémon',
+      'milestone.every-10': 'Every 10 species',
+      'milestone.every-100': 'Every 100 species',
+      'ach.rewards': '{n} rewards: {list}',
+      'ach.rewardsMany': '{n} rewards received — see the Achievements panel',
+      'ach.unlockedOn': 'Unlocked on {date}',
+      'ach.loading': 'Loading…',
+      'ach.nextIn': 'Next in {n} • received {times}×',
+
+      'stats.title': 'Statistics',
+      'stats.since': 'Since {date} • last {n} events (max {max})',
+      'stats.noEvents': 'No events recorded yet.',
+      'stats.encounters': 'encounters',
+      'stats.captures': 'captures',
+      'stats.perCapture': 'encounters per capture',
+      'stats.shinies': 'shinies caught/seen',
+      'stats.ballRate': 'Success rate by ball',
+      'stats.ball': 'Ball',
+      'stats.thrown': 'Thrown',
+      'stats.caught': 'Catches',
+      'stats.success': 'Success',
+      'stats.noThrows': 'No balls thrown yet.',
+      'stats.escapes': 'Most escapes',
+      'stats.pokemon': 'Pokémon',
+      'stats.fled': 'Broke free',
+      'stats.ran': 'You ran',
+      'stats.noEscapes': 'No escapes yet.',
+      'stats.progress': 'Pokédex progress',
+      'stats.exportCsv': 'Export history (CSV)',
+      'history.full': 'No room left to save the encounter history. It is still complete in this tab.',
+      'history.exportTrim': 'Export CSV and free space',
+      'history.trimmed': 'History exported; the {n} most recent events were kept',
+      'timeline.empty': 'Catch more Pokémon to see the timeline.',
+      'timeline.caught': '{n} caught',
+
+      'shiny.charmUnlocked': 'Pokédex complete! Shiny Charm unlocked ✨',
+      'modifier.shiny-charm': 'Shiny Charm',
+      'modifier.shiny-charm.hint': 'Complete the national Pokédex to unlock',
+      'modifier.rolls': '+{n} rolls',
+      'hunt.started': 'Shiny hunt started: {name}',
+      'hunt.broken': 'Chain broken!',
+      'hunt.hunting': 'Hunting:',
+      'hunt.chain': 'Chain: {n}',
+      'hunt.best': 'Best: {n}',
+      'hunt.odds': 'Shiny odds: {odds}',
+      'hunt.stop': 'Stop hunt',
+      'hunt.none': 'No active shiny hunt',
+      'hunt.start': 'Hunt this Pokémon',
+      'hunt.unavailable': 'Only species you have seen, from the active regions, can be hunted',
+
+      'daily.title': 'Daily challenge',
+      'daily.loading': 'Loading encounter…',
+      'daily.loadError': 'Could not load the encounter. Try again later.',
+      'daily.progress': 'Encounter {n} of {total}',
+      'daily.done': "Today's challenge is complete!",
+      'daily.outOfBalls': "Out of balls — today's challenge is over.",
+      'daily.ballsUsed': 'balls used',
+      'daily.shareTitle': 'Pokémon RNG • Daily challenge {date}',
+      'daily.shareStats': '🎯 {caught}/{total} • ✨ {shinies} • 🎒 {used}/{budget} balls',
+      'daily.cardStats': 'Caught {caught}/{total}   Shinies {shinies}   Balls {used}/{budget}',
+      'daily.copyText': 'Copy result',
+      'daily.copyImage': 'Copy image',
+      'daily.download': 'Download image',
+      'daily.textCopied': 'Result copied',
+      'daily.imageCopied': 'Image copied',
+      'daily.imageCopyFailed': 'Could not copy the image',
+      'daily.comeBack': 'A new challenge starts at midnight. The challenge does not change your Pokédex.',
+
+      'settings.title': 'Settings',
+      'settings.animations': 'Animations',
+      'settings.animationsHint': 'Follows the system "reduce motion" setting until you change it.',
+      'settings.sound': 'Capture sound',
+      'settings.hotkeys': 'Keyboard shortcuts',
+      'settings.hotkeysHelp': 'Focus a field and press the new key; Backspace removes the shortcut. In the Pokédex, arrow keys move between Pokémon and Enter opens the details.',
+      'settings.reset': 'Restore defaults',
+      'settings.shortcut': 'Shortcut: {key}',
+      'hotkey.encounter': 'Find Pokémon',
+      'hotkey.horde': 'Find horde',
+      'hotkey.catch': 'Catch',
+      'hotkey.run': 'Run',
+      'hotkey.prevBall': 'Previous ball',
+      'hotkey.nextBall': 'Next ball',
+      'hotkey.prevPage': 'Previous Pokédex page',
+      'hotkey.nextPage': 'Next Pokédex page',
+      'hotkey.undo': 'Undo the last action',
+      'a11y.appeared': 'A wild {name} appeared! Type: {types}',
+      'a11y.appearedShiny': 'A shiny {name} appeared! Type: {types}',
+      'a11y.horde': 'A horde appeared: {names}',
+      'a11y.ball': 'Selected ball: {ball}',
+      'a11y.notCaught': 'not caught',
+      'snapshot.title': 'Progress history',
+      'snapshot.help': 'Automatic copies before a reset, import or restore and every 10 minutes of play. The {n} most recent are kept. Now: {caught} caught.',
+      'snapshot.date': 'Date',
+      'snapshot.reason': 'Reason',
+      'snapshot.reason.auto': 'Automatic',
+      'snapshot.reason.manual': 'Manual',
+      'snapshot.reason.reset': 'Before reset',
+      'snapshot.reason.import': 'Before import',
+      'snapshot.reason.restore': 'Before restore',
+      'snapshot.caught': 'Caught',
+      'snapshot.shinies': 'Shinies',
+      'snapshot.money': 'Money',
+      'snapshot.restore': 'Restore',
+      'snapshot.now': 'Save a copy now',
+      'snapshot.none': 'No copies yet.',
+      'snapshot.restored': 'Progress from {date} restored',
+      'snapshot.unreadable': 'This copy cannot be read',
+      'snapshot.busy': 'Wait for the capture to finish',
+      'undo.action': 'Undo',
+      'undo.done': 'Undone',
+      'battle.lead': 'Lead:',
+      'battle.noLead': 'Catch a Pokémon to battle with it and weaken wild ones.',
+      'battle.attack': '{type} attack',
+      'battle.move.false-swipe': 'False Swipe',
+      'battle.move.sleep': 'Put to sleep',
+      'battle.move.paralysis': 'Paralyze',
+      'battle.move.poison': 'Poison',
+      'battle.move.burn': 'Burn',
+      'battle.move.freeze': 'Freeze',
+      'battle.status.sleep': 'Asleep',
+      'battle.status.paralysis': 'Paralyzed',
+      'battle.status.poison': 'Poisoned',
+      'battle.status.burn': 'Burned',
+      'battle.status.freeze': 'Frozen',
+      'battle.hit': '{name} used a {type} attack: {target} lost {n} HP.',
+      'battle.hit.false-swipe': '{name} used False Swipe: {target} lost {n} HP.',
+      'battle.super': "It's super effective!",
+      'battle.weak': "It's not very effective…",
+      'battle.immune': 'It had no effect.',
+      'battle.missed': '{name} missed.',
+      'battle.failed': '{name} tried, but it failed.',
+      'battle.inflicted.sleep': '{name} fell asleep!',
+      'battle.inflicted.paralysis': '{name} is paralyzed!',
+      'battle.inflicted.poison': '{name} was poisoned!',
+      'battle.inflicted.burn': '{name} was burned!',
+      'battle.inflicted.freeze': '{name} was frozen solid!',
+      'battle.skipped.sleep': '{name} is fast asleep.',
+      'battle.skipped.freeze': '{name} is frozen solid.',
+      'battle.skipped.paralysis': "{name} is paralyzed! It can't move!",
+      'battle.cured.sleep': '{name} woke up!',
+      'battle.cured.freeze': '{name} thawed out!',
+      'battle.chip.poison': '{name} lost {n} HP to poison.',
+      'battle.chip.burn': '{name} lost {n} HP to its burn.',
+      'battle.fled': '{name} fled!',
+      'battle.fainted': '{name} fainted!',
+      'battle.leadFainted': '{name} fainted! You can still throw or run.',
+      'battle.error': "Couldn't load the lead's data",
+      'battle.loadingTypes': 'Loading the type chart…',
+      'world.time.morning': 'Morning',
+      'world.time.day': 'Day',
+      'world.time.evening': 'Evening',
+      'world.time.night': 'Night',
+      'world.weather.clear': 'Clear skies',
+      'world.weather.rain': 'Rain',
+      'world.weather.sun': 'Harsh sunlight',
+      'world.weather.snow': 'Snow',
+      'world.weather.sandstorm': 'Sandstorm',
+      'world.weather.fog': 'Fog',
+      'world.habitat': 'Habitat: {habitat}',
+      'world.favours': 'More common now: {types}',
+      'habitat.cave': 'Cave',
+      'habitat.forest': 'Forest',
+      'habitat.grassland': 'Grassland',
+      'habitat.mountain': 'Mountain',
+      'habitat.rare': 'Rare',
+      'habitat.rough-terrain': 'Rough terrain',
+      'habitat.sea': 'Sea',
+      'habitat.urban': 'Urban',
+      'habitat.waters-edge': "Water's edge",
+
+      'region.all': 'All',
+      'region.gen': 'Gen {n}',
+      'region.atLeastOne': 'Pick at least one region',
+
+      'type.normal': 'Normal', 'type.fire': 'Fire', 'type.water': 'Water', 'type.grass': 'Grass',
+      'type.electric': 'Electric', 'type.ice': 'Ice', 'type.fighting': 'Fighting', 'type.poison': 'Poison',
+      'type.ground': 'Ground', 'type.flying': 'Flying', 'type.psychic': 'Psychic', 'type.bug': 'Bug',
+      'type.rock': 'Rock', 'type.ghost': 'Ghost', 'type.dragon': 'Dragon', 'type.dark': 'Dark',
+      'type.steel': 'Steel', 'type.fairy': 'Fairy',
+    }
+  }
+};
+
+let locale = initialLocale();
+
+// saved choice, then the browser language, then the default
+function initialLocale(){
+  try{
+    const stored = localStorage.getItem(LOCALE_KEY);
+    if(stored && LOCALES[stored]) return stored;
+  }catch(e){}
+  const nav = (typeof navigator !== 'undefined' && navigator.language) || '';
+  return Object.keys(LOCALES).find(l=>l === nav) || Object.keys(LOCALES).find(l=>l.split('-')[0] === nav.split('-')[0]) || DEFAULT_LOCALE;
+}
+
+// missing keys fall back to the default catalogue, then to the key itself
+function tr(key, params){
+  const strings = LOCALES[locale].strings;
+  const s = key in strings ? strings[key] : key in LOCALES[DEFAULT_LOCALE].strings ? LOCALES[DEFAULT_LOCALE].strings[key] : key;
+  return params ? s.replace(/\{(\w+)\}/g, (m, k)=>k in params ? params[k] : m) : s;
+}
+
+function setLocale(next){
+  if(!LOCALES[next]) return;
+  locale = next;
+  try{ localStorage.setItem(LOCALE_KEY, next); }catch(e){}
+  applyI18n();
+}
+
+function applyI18n(root = document){
+  if(root === document) document.documentElement.lang = locale;
+  root.querySelectorAll('[data-i18n]').forEach(n=>{ n.textContent = tr(n.dataset.i18n); });
+  ['placeholder','title','aria-label'].forEach(attr=>{
+    root.querySelectorAll(`[data-i18n-${attr}]`).forEach(n=>n.setAttribute(attr, tr(n.getAttribute(`data-i18n-${attr}`))));
+  });
+}
+
+function formatNumber(n){ return Number(n).toLocaleString(locale); }
+function formatDate(d){ return new Date(d).toLocaleDateString(locale); }
+function formatDateTime(d){ return new Date(d).toLocaleString(locale); }
+
+// PokéAPI language codes to try: the UI locale, its base language, then English
+function preferredLanguages(){
+  return Array.from(new Set([locale, locale.split('-')[0], 'en']));
+}
+
+// picks the entry in the best available language from a PokéAPI localized array
+// (`names`, `flavor_text_entries`); `exact` skips the English fallback
+function localized(entries, exact){
+  const langs = exact ? [locale, locale.split('-')[0]] : preferredLanguages();
+  for(const l of langs){
+    const hit = (entries||[]).find(e=>e.language && e.language.name === l);
+    if(hit) return hit;
+  }
+  return null;
+}
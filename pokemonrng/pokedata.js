@@ -0,0 +1,150 @@
+// pokedata.js - offline-first PokéAPI data layer
+// Lookups go memory -> IndexedDB -> network, and every network hit is stored so the
+// same JSON is never downloaded twice. A data pack built with tools/build-datapack.js and
+// placed at DATA_PACK_URL pre-fills the cache; none is shipped, so the game works without one.
+
+const API_BASE = 'https://pokeapi.co/api/v2';
+const CACHE_DB = 'pokemonrng-cache';
+const CACHE_STORE = 'api';
+const DATA_PACK_URL = './data/pokeapi-pack.json';
+const LIST_MAX_AGE_MS = 24 * 60 * 60 * 1000; // lists and counts grow when PokéAPI adds species or types
+
+const memoryCache = new Map();
+let _dbPromise = null;
+
+function cacheKey(url){ return String(url).replace(/\/+$/,''); }
+
+// `/type`, `/pokemon-species?limit=1`: unlike a single resource, these change over time
+function isListKey(key){ return key.startsWith(API_BASE) && /^\/[a-z-]+(\?[^/]*)?$/.test(key.slice(API_BASE.length)); }
+
+function openCacheDb(){
+  if(_dbPromise) return _dbPromise;
+  _dbPromise = new Promise((resolve)=>{
+    try{
+      const req = indexedDB.open(CACHE_DB, 1);
+      req.onupgradeneeded = ()=>{ req.result.createObjectStore(CACHE_STORE); };
+      req.onsuccess = ()=>resolve(req.result);
+      req.onerror = ()=>resolve(null);
+    }catch(e){ resolve(null); } // no IndexedDB (private mode, Node): memory only
+  });
+  return _dbPromise;
+}
+
+async function idbGet(key){
+  const db = await openCacheDb(); if(!db) return undefined;
+  return new Promise((resolve)=>{
+    try{
+      const req = db.transaction(CACHE_STORE).objectStore(CACHE_STORE).get(key);
+      req.onsuccess = ()=>resolve(req.result);
+      req.onerror = ()=>resolve(undefined);
+    }catch(e){ resolve(undefined); }
+  });
+}
+
+async function idbPutMany(entries){
+  const db = await openCacheDb(); if(!db) return;
+  return new Promise((resolve)=>{
+    try{
+      const tx = db.transaction(CACHE_STORE, 'readwrite');
+      const store = tx.objectStore(CACHE_STORE);
+      entries.forEach(([k,v])=>store.put(v,k));
+      tx.oncomplete = ()=>resolve(); tx.onerror = ()=>resolve(); tx.onabort = ()=>resolve();
+    }catch(e){ resolve(); }
+  });
+}
+
+// keep only the fields the game reads; raw /pokemon responses carry hundreds of KB of moves
+function slimPokemon(d){
+  return {
+    id: d.id, name: d.name, height: d.height, weight: d.weight,
+    types: d.types, stats: d.stats, abilities: d.abilities, cries: d.cries,
+    species: { name: d.species.name, url: d.species.url },
+    sprites: { front_default: d.sprites && d.sprites.front_default, front_shiny: d.sprites && d.sprites.front_shiny }
+  };
+}
+function slimSpecies(d){
+  return {
+    id: d.id, name: d.name, is_legendary: d.is_legendary, is_mythical: d.is_mythical,
+    capture_rate: d.capture_rate, habitat: d.habitat, generation: d.generation,
+    names: d.names, flavor_text_entries: d.flavor_text_entries, evolution_chain: d.evolution_chain
+  };
+}
+function slimType(d){
+  return { id: d.id, name: d.name, names: d.names, damage_relations: d.damage_relations, pokemon: (d.pokemon||[]).map(p=>({ pokemon: p.pokemon })) };
+}
+function slimHabitat(d){
+  return { id: d.id, name: d.name, pokemon_species: (d.pokemon_species||[]).map(s=>({ name: s.name, url: s.url })) };
+}
+function slimFor(key, data){
+  if(/\/pokemon\/[^/?]+$/.test(key)) return slimPokemon(data);
+  if(/\/pokemon-species\/[^/?]+$/.test(key)) return slimSpecies(data);
+  if(/\/type\/[^/?]+$/.test(key)) return slimType(data);
+  if(/\/pokemon-habitat\/[^/?]+$/.test(key)) return slimHabitat(data);
+  return data;
+}
+
+async function apiGet(url){
+  const key = cacheKey(url);
+  if(memoryCache.has(key)) return memoryCache.get(key);
+  const stored = await idbGet(key);
+  if(stored !== undefined){
+    memoryCache.set(key, stored);
+    // a stored list is served right away and refreshed in the background once it is old
+    if(isListKey(key)) idbGet(`meta:fetched:${key}`).then(at=>{ if(!(at > Date.now() - LIST_MAX_AGE_MS)) download(key).catch(()=>{}); });
+    return stored;
+  }
+  return download(key);
+}
+
+async function download(key){
+  const res = await fetch(key);
+  if(!res.ok) throw new Error(`fetch ${res.status} ${key}`);
+  const data = slimFor(key, await res.json());
+  memoryCache.set(key, data);
+  idbPutMany([[key, data], ...(isListKey(key) ? [[`meta:fetched:${key}`, Date.now()]] : [])]);
+  return data;
+}
+
+// drops every stored response (the memory copy stays); everything here can be downloaded again
+async function clearApiCache(){
+  const db = await openCacheDb(); if(!db) return false;
+  return new Promise((resolve)=>{
+    try{
+      const tx = db.transaction(CACHE_STORE, 'readwrite');
+      tx.objectStore(CACHE_STORE).clear();
+      tx.oncomplete = ()=>resolve(true); tx.onerror = ()=>resolve(false); tx.onabort = ()=>resolve(false);
+    }catch(e){ resolve(false); }
+  });
+}
+
+function fetchPokemon(idOrName){ return apiGet(`${API_BASE}/pokemon/${idOrName}`); }
+function fetchSpecies(urlOrId){ return apiGet(typeof urlOrId === 'number' ? `${API_BASE}/pokemon-species/${urlOrId}` : urlOrId); }
+function fetchTypeList(){ return apiGet(`${API_BASE}/type`); }
+function fetchType(name){ return apiGet(`${API_BASE}/type/${name}`); }
+function fetchHabitat(name){ return apiGet(`${API_BASE}/pokemon-habitat/${name}`); }
+function fetchEvolutionChain(url){ return apiGet(url); }
+
+// Loads the bundled pack ({ version, entries: { url: json } }) into the cache.
+// IndexedDB is only rewritten when the pack version changes.
+async function loadDataPack(url = DATA_PACK_URL){
+  let pack;
+  try{
+    const res = await fetch(url);
+    if(!res.ok) return false;
+    pack = await res.json();
+  }catch(e){ return false; }
+  if(!pack || !pack.entries) return false;
+  const entries = Object.entries(pack.entries).map(([k,v])=>[cacheKey(k), v]);
+  // lists only go to IndexedDB, dated with the pack, so apiGet refreshes them when they age
+  entries.forEach(([k,v])=>{ if(!isListKey(k)) memoryCache.set(k,v); });
+  const version = String(pack.version || pack.generatedAt || '');
+  if(await idbGet('meta:pack') !== version){
+    const builtAt = Date.parse(pack.generatedAt) || 0;
+    await idbPutMany([...entries, ...entries.filter(([k])=>isListKey(k)).map(([k])=>[`meta:fetched:${k}`, builtAt]), ['meta:pack', version]]);
+  }
+  return true;
+}
+
+if(typeof module !== 'undefined' && module.exports){
+  module.exports = { API_BASE, cacheKey, slimPokemon, slimSpecies, slimType, slimHabitat, slimFor };
+}
@@ -0,0 +1,72 @@
+// sw.js - service worker: app shell + sprite cache so the game keeps working offline.
+// API JSON is cached by pokedata.js in IndexedDB; this only handles files and images.
+
+const SHELL_CACHE = 'pokemonrng-shell-v1';
+const SPRITE_CACHE = 'pokemonrng-sprites-v1';
+const SHELL_FILES = [
+  './',
+  './index.html',
+  './RNG.css',
+  './RNG.js',
+  './pokedata.js',
+  './i18n.js',
+  './engine.js',
+  './assets/pokemon-city.svg',
+  './assets/pokemon-city-evening.svg',
+  './assets/pokemon-city-night.svg',
+  './assets/weather-rain.svg',
+  './assets/weather-snow.svg',
+  './assets/weather-sandstorm.svg',
+  './assets/weather-fog.svg'
+];
+
+self.addEventListener('install', (event)=>{
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      // add one by one: a file that fails to download must not fail the install
+      .then(cache=>Promise.all(SHELL_FILES.map(f=>cache.add(f).catch(()=>{}))))
+      .then(()=>self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event)=>{
+  const keep = [SHELL_CACHE, SPRITE_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(keys=>Promise.all(keys.filter(k=>!keep.includes(k)).map(k=>caches.delete(k))))
+      .then(()=>self.clients.claim())
+  );
+});
+
+function isSprite(url){
+  return url.hostname === 'raw.githubusercontent.com' && url.pathname.includes('/sprites/');
+}
+
+// sprites never change: cache first, network once
+async function spriteFirst(request){
+  const cache = await caches.open(SPRITE_CACHE);
+  const hit = await cache.match(request);
+  if(hit) return hit;
+  const res = await fetch(request);
+  // sprites load as <img> (no-cors), so opaque responses are expected and cacheable
+  if(res.ok || res.type === 'opaque') cache.put(request, res.clone());
+  return res;
+}
+
+// shell files: serve the cached copy right away, refresh it in the background
+async function staleWhileRevalidate(request){
+  const cache = await caches.open(SHELL_CACHE);
+  const hit = await cache.match(request, { ignoreSearch: true });
+  const refresh = fetch(request).then(res=>{
+    if(res.ok) cache.put(request, res.clone());
+    return res;
+  }).catch(()=>hit || Response.error());
+  return hit || refresh;
+}
+
+self.addEventListener('fetch', (event)=>{
+  if(event.request.method !== 'GET') return;
+  const url = new URL(event.request.url);
+  if(isSprite(url)) event.respondWith(spriteFirst(event.request));
+  else if(url.origin === self.location.origin) event.respondWith(staleWhileRevalidate(event.request));
+});
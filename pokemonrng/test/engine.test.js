@@ -0,0 +1,275 @@
+// engine.test.js - unit tests for the game rules in engine.js
+// Run with plain Node (18+): `node --test test/` from pokemonrng/.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const E = require('../engine.js');
+
+// a `random` for resolveCapture that returns the given values in order
+const sequence = (...values) => () => values.shift();
+
+function context({ caught = [], captureCounter = 0, bestStreak = 0, typeRosters = {} } = {}){
+  const pokedex = Object.fromEntries(caught.map(p=>[p.id, { caught: true, ...p }]));
+  return E.achievementContextFor({ pokedex, captureCounter, bestStreak, typeRosters });
+}
+
+const newAchievements = () => ({ unlocked:{}, milestones:{}, streak:0, bestStreak:0 });
+
+test('captureValue: full HP with a Poké Ball is a third of the capture rate', ()=>{
+  assert.strictEqual(E.captureValue({ captureRate: 45 }), 15);
+  assert.strictEqual(E.captureValue({ captureRate: 255 }), 85);
+});
+
+test('captureValue: lower HP, better balls and status raise the value', ()=>{
+  const base = E.captureValue({ captureRate: 45, hp: 100, maxHp: 100 });
+  assert.ok(E.captureValue({ captureRate: 45, hp: 1, maxHp: 100 }) > base);
+  assert.strictEqual(E.captureValue({ captureRate: 45, ball: 2 }), 30);
+  assert.strictEqual(E.captureValue({ captureRate: 45, status: 'sleep' }), 30);
+  assert.strictEqual(E.captureValue({ captureRate: 45, status: 'burn' }), 22);
+});
+
+test('captureValue: owned species are harder, and the value stays within 1..255', ()=>{
+  assert.strictEqual(E.captureValue({ captureRate: 45, owned: true }), 11);
+  assert.strictEqual(E.captureValue({ captureRate: 3 }), 1);
+  assert.strictEqual(E.captureValue({ captureRate: 255, ball: 3, hp: 1, maxHp: 100, status: 'sleep' }), 255);
+  assert.strictEqual(E.captureValue({ captureRate: 3, guaranteed: true }), 255);
+});
+
+test('resolveCapture: four passed shake checks catch', ()=>{
+  const result = E.resolveCapture({ captureRate: 45 }, sequence(0, 0, 0, 0));
+  assert.deepStrictEqual(result, { caught: true, shakes: 4, a: 15 });
+});
+
+test('resolveCapture: shakes count the checks passed before a break-out', ()=>{
+  assert.deepStrictEqual(E.resolveCapture({ captureRate: 45 }, sequence(0, 0, 0.999)), { caught: false, shakes: 2, a: 15 });
+  assert.deepStrictEqual(E.resolveCapture({ captureRate: 45 }, sequence(0.999)), { caught: false, shakes: 0, a: 15 });
+});
+
+test('resolveCapture: a guaranteed capture rolls nothing', ()=>{
+  let calls = 0;
+  const result = E.resolveCapture({ captureRate: 3, guaranteed: true }, ()=>{ calls++; return 0.999; });
+  assert.strictEqual(result.caught, true);
+  assert.strictEqual(calls, 0);
+});
+
+test('resolveCapture: the same seed gives the same result', ()=>{
+  const run = ()=>{ const rng = E.createRng('fixed'); return E.resolveCapture({ captureRate: 45 }, ()=>rng.next('shake')); };
+  assert.deepStrictEqual(run(), run());
+});
+
+test('captureChance: the chance that all four shake checks pass', ()=>{
+  assert.strictEqual(E.captureChance({ captureRate: 3, guaranteed: true }), 1);
+  const low = E.captureChance({ captureRate: 3 });
+  const high = E.captureChance({ captureRate: 190 });
+  assert.ok(low > 0 && low < high && high < 1);
+});
+
+test('shinyRollsFor: one roll by default', ()=>{
+  assert.strictEqual(E.shinyRollsFor({}), 1);
+  assert.strictEqual(E.shinyRollsFor({ chain: 9, unlocks: [] }), 1);
+});
+
+test('shinyRollsFor: the hunt chain adds a roll every 10 encounters, up to 4', ()=>{
+  assert.strictEqual(E.shinyRollsFor({ chain: 10 }), 2);
+  assert.strictEqual(E.shinyRollsFor({ chain: 39 }), 4);
+  assert.strictEqual(E.shinyRollsFor({ chain: 400 }), 5);
+});
+
+test('shinyRollsFor: unlocked modifiers stack with the chain', ()=>{
+  assert.strictEqual(E.shinyRollsFor({ unlocks: ['shiny-charm'] }), 3);
+  assert.strictEqual(E.shinyRollsFor({ chain: 40, unlocks: ['shiny-charm', 'unknown'] }), 7);
+});
+
+// an rng for rollEncounterFor that returns `value` for every roll
+const constantRng = value => ({ next: ()=>value, int: max=>Math.floor(value * max) });
+
+test('weightedIndex: picks by cumulative weight and never a zero weight', ()=>{
+  assert.strictEqual(E.weightedIndex([1, 2, 1], 0), 0);
+  assert.strictEqual(E.weightedIndex([1, 2, 1], 0.3), 1);
+  assert.strictEqual(E.weightedIndex([1, 2, 1], 0.99), 2);
+  assert.strictEqual(E.weightedIndex([1, 0, 1], 0.5), 2);
+});
+
+test('rollEncounterFor: a hunt target is weighted up, not forced', ()=>{
+  const pool = [1, 2, 3];
+  assert.strictEqual(E.rollEncounterFor(constantRng(0.5), { pool }).id, 2);
+  // weights 1, 1, 4: the middle of the range now falls on the target
+  assert.strictEqual(E.rollEncounterFor(constantRng(0.5), { pool, target: 3 }).id, 3);
+  assert.strictEqual(E.rollEncounterFor(constantRng(0), { pool, target: 3 }).id, 1);
+  // a target outside the pool changes nothing
+  assert.strictEqual(E.rollEncounterFor(constantRng(0.5), { pool, target: 9 }).id, 2);
+});
+
+test('rollEncounterFor: the hunt weight multiplies the world weights', ()=>{
+  const pool = [1, 2, 3];
+  const weights = [6, 1, 1];
+  assert.strictEqual(E.rollEncounterFor(constantRng(0.7), { pool, weights }).id, 1);
+  assert.strictEqual(E.rollEncounterFor(constantRng(0.7), { pool, weights, target: 3 }).id, 3);
+  assert.deepStrictEqual(weights, [6, 1, 1]);
+});
+
+test('rollEncounterFor: only the target gets the hunt shiny rolls', ()=>{
+  // int(300) is 3 for 0.01: a shiny needs more than 3 rolls
+  const roll = (value, target) => E.rollEncounterFor(constantRng(value), { pool: [1, 2], target, shinyRolls: 1, targetShinyRolls: 4 });
+  assert.deepStrictEqual(roll(0.01, 1), { id: 1, isShinyRoll: true });
+  assert.deepStrictEqual(roll(0.01, 2), { id: 1, isShinyRoll: false });
+});
+
+test('rollEncounterFor: a hunted species still leaves room for the rest of the pool', ()=>{
+  const rng = E.createRng('hunt');
+  const pool = Array.from({ length: 20 }, (_, i)=>i + 1);
+  const ids = Array.from({ length: 2000 }, ()=>E.rollEncounterFor(rng, { pool, target: 5 }).id);
+  const share = ids.filter(id=>id === 5).length / ids.length;
+  assert.ok(share > 0.12 && share < 0.22, `target share ${share}`); // 4/23 expected
+  assert.strictEqual(new Set(ids).size, 20);
+});
+
+test('collectAchievements: unlocks once and records the date', ()=>{
+  const state = newAchievements();
+  const s = context({ caught: [{ id: 1 }], captureCounter: 1 });
+  const earned = E.collectAchievements(state, s);
+  assert.deepStrictEqual(earned.map(e=>e.def.id), ['first-capture']);
+  assert.ok(!isNaN(Date.parse(state.unlocked['first-capture'])));
+  assert.deepStrictEqual(E.collectAchievements(state, s), []);
+});
+
+test('collectAchievements: milestones pay once per step, including skipped ones', ()=>{
+  const state = newAchievements();
+  state.unlocked['first-capture'] = '2024-01-01T00:00:00.000Z';
+  const earned = E.collectAchievements(state, context({ caught: [{ id: 1 }], captureCounter: 25 }));
+  assert.deepStrictEqual(earned.map(e=>[e.def.id, e.milestone]), [['every-10', true], ['every-10', true]]);
+  assert.deepStrictEqual(state.milestones, { 'every-10': 2, 'every-100': 0 });
+  assert.deepStrictEqual(E.collectAchievements(state, context({ caught: [{ id: 1 }], captureCounter: 29 })), []);
+});
+
+test('collectAchievements: type goals wait for their roster', ()=>{
+  const state = newAchievements();
+  const caught = [{ id: 1 }, { id: 4 }];
+  const ids = s => E.collectAchievements(state, s).map(e=>e.def.id);
+  assert.ok(!ids(context({ caught, captureCounter: 2 })).includes('type-fire'));
+  assert.ok(ids(context({ caught, captureCounter: 2, typeRosters: { fire: [4] } })).includes('type-fire'));
+});
+
+test('achievementRewardsBetween: sums new unlocks and milestone steps', ()=>{
+  const from = { unlocked: { 'first-capture': 'x' }, milestones: { 'every-10': 1 } };
+  const to = { unlocked: { 'first-capture': 'x', 'shiny-1': 'y', 'catch-50': 'z' }, milestones: { 'every-10': 3, 'every-100': 0 } };
+  assert.deepStrictEqual(E.achievementRewardsBetween(from, to), { money: 2000, balls: { greatball: 7 } });
+  assert.deepStrictEqual(E.achievementRewardsBetween(to, to), { money: 0, balls: {} });
+});
+
+test('registerCapture: a first capture pays and counts, a duplicate gives candy to the family', ()=>{
+  const game = { pokedex: {}, captureCounter: 0, money: 0, candy: {} };
+  const first = E.registerCapture(game, { id: 2, name: 'Ivysaur', types: ['grass'], family: 1, sprite: 'a.png' });
+  assert.deepStrictEqual(first, { firstCapture: true, newShiny: false, earned: 300, candies: 0 });
+  const again = E.registerCapture(game, { id: 2, name: 'Ivysaur', types: ['grass'], family: 1, shiny: true, sprite: 's.png' });
+  assert.deepStrictEqual(again, { firstCapture: false, newShiny: true, earned: 600, candies: E.CANDY_PER_SHINY_DUPLICATE });
+  assert.strictEqual(game.captureCounter, 1);
+  assert.strictEqual(game.money, 900);
+  assert.deepStrictEqual(game.candy, { 1: E.CANDY_PER_SHINY_DUPLICATE });
+  assert.strictEqual(game.pokedex[2].sprite, 'a.png');
+  assert.strictEqual(game.pokedex[2].shinySprite, 's.png');
+});
+
+test('registerEvolution: spends the family candy, or changes nothing when short', ()=>{
+  const game = { pokedex: { 1: { id: 1, caught: true, family: 1 } }, captureCounter: 1, money: 0, candy: { 1: 4 } };
+  const ivysaur = { id: 2, name: 'Ivysaur', types: ['grass'] };
+  assert.strictEqual(E.registerEvolution(game, 1, ivysaur, 5), false);
+  assert.deepStrictEqual(game.candy, { 1: 4 });
+  assert.strictEqual(E.registerEvolution(game, 1, ivysaur, 3), true);
+  assert.deepStrictEqual(game.candy, { 1: 1 });
+  assert.strictEqual(game.captureCounter, 2);
+  assert.deepStrictEqual([game.pokedex[2].caught, game.pokedex[2].obtainedBy, game.pokedex[2].evolvedFrom, game.pokedex[2].family], [true, 'evolution', 1, 1]);
+});
+
+test('battleTurn: False Swipe leaves the wild Pokémon at 1 HP', ()=>{
+  const stats = [{ stat: { name: 'attack' }, base_stat: 255 }, { stat: { name: 'hp' }, base_stat: 1 }, { stat: { name: 'defense' }, base_stat: 5 }];
+  const battle = E.newBattle({ lead: { id: 1, name: 'A', types: ['grass'], stats }, wild: { id: 2, name: 'B', types: ['water'], stats } });
+  const events = E.battleTurn(battle, 'false-swipe', {}, ()=>0.5);
+  assert.strictEqual(battle.wild.hp, 1);
+  assert.strictEqual(events[0].damage, battle.wild.maxHp - 1);
+  assert.strictEqual(battle.over, null);
+});
+
+test('typeEffectiveness: multiplies over both types and counts unknown types as neutral', ()=>{
+  const chart = E.buildTypeChart({
+    water: { damage_relations: { double_damage_to: [{ name: 'fire' }, { name: 'rock' }], half_damage_to: [{ name: 'grass' }] } },
+    electric: { damage_relations: { no_damage_to: [{ name: 'ground' }] } }
+  });
+  assert.strictEqual(E.typeEffectiveness(chart, 'water', ['fire', 'rock']), 4);
+  assert.strictEqual(E.typeEffectiveness(chart, 'water', ['fire', 'grass']), 1);
+  assert.strictEqual(E.typeEffectiveness(chart, 'electric', ['ground', 'flying']), 0);
+  assert.strictEqual(E.typeEffectiveness(chart, 'ghost', ['normal']), 1);
+});
+
+test('battleTurn: damage follows the type chart', ()=>{
+  const chart = { water: { fire: 2, grass: 0.5 }, normal: { ghost: 0 } };
+  const turn = (leadTypes, wildTypes, move) => {
+    const battle = E.newBattle({ lead: { id: 1, name: 'A', types: leadTypes, stats: [] }, wild: { id: 2, name: 'B', types: wildTypes, stats: [] } });
+    return E.battleTurn(battle, move, chart, ()=>0.99)[0];
+  };
+  const neutral = turn(['water'], ['normal'], 'water'), strong = turn(['water'], ['fire'], 'water'), weak = turn(['water'], ['grass'], 'water');
+  assert.deepStrictEqual([neutral.effectiveness, strong.effectiveness, weak.effectiveness], [1, 2, 0.5]);
+  assert.ok(strong.damage > neutral.damage && neutral.damage > weak.damage);
+  const immune = turn(['water'], ['ghost'], 'false-swipe');
+  assert.deepStrictEqual([immune.effectiveness, immune.damage], [0, 0]);
+});
+
+test('battleTurn: status moves miss, fail on immune types and never stack', ()=>{
+  const battle = wild => E.newBattle({ lead: { id: 1, name: 'A', types: ['fire'], stats: [] }, wild: { id: 2, name: 'B', types: wild, stats: [] } });
+  assert.strictEqual(E.battleTurn(battle(['fire']), 'status', {}, ()=>0)[0].failed, true);
+  assert.strictEqual(E.battleTurn(battle(['water']), 'status', {}, ()=>0.99)[0].missed, true);
+  const b = battle(['water']);
+  assert.strictEqual(E.battleTurn(b, 'status', {}, sequence(0, 0.99, 0.99))[0].status, 'burn');
+  assert.strictEqual(E.battleTurn(b, 'status', {}, ()=>0.99)[0].failed, true);
+  assert.strictEqual(b.wild.status, 'burn');
+});
+
+test('battleTurn: sleep lasts 1-3 turns from the battle rng, then the wild Pokémon acts again', ()=>{
+  const b = E.newBattle({ lead: { id: 1, name: 'A', types: ['grass'], stats: [] }, wild: { id: 2, name: 'B', types: ['water'], stats: [] } });
+  const first = E.battleTurn(b, 'status', {}, sequence(0, 0.99));
+  assert.deepStrictEqual(first.map(ev=>ev.status || ev.skipped), ['sleep', 'sleep']);
+  assert.strictEqual(b.wild.statusTurns, 2);
+  E.battleTurn(b, 'status', {}, ()=>0.99);
+  E.battleTurn(b, 'status', {}, ()=>0.99);
+  const woke = E.battleTurn(b, 'status', {}, ()=>0.99);
+  assert.deepStrictEqual(woke.map(ev=>ev.cured || ev.move), ['status', 'sleep', 'water']);
+  assert.strictEqual(b.wild.status, null);
+  // the shortest sleep only skips the turn it was given
+  const short = E.newBattle({ lead: { id: 1, name: 'A', types: ['grass'], stats: [] }, wild: { id: 2, name: 'B', types: ['water'], stats: [] } });
+  E.battleTurn(short, 'status', {}, sequence(0, 0));
+  assert.strictEqual(short.wild.statusTurns, 0);
+  assert.strictEqual(E.battleTurn(short, 'grass', {}, ()=>0.99)[1].cured, 'sleep');
+});
+
+test('timeOfDay and weatherAt: clock hours map to periods and weather holds for a 30-minute slot', ()=>{
+  assert.deepStrictEqual([0, 5, 6, 9, 10, 16, 17, 18, 19, 23].map(E.timeOfDay),
+    ['night', 'night', 'morning', 'morning', 'day', 'day', 'evening', 'evening', 'night', 'night']);
+  const slot = 30 * 60 * 1000, start = 1000 * slot;
+  assert.strictEqual(E.weatherAt(start), E.weatherAt(start + slot - 1));
+  const seen = new Set(Array.from({length:200}, (_,i)=>E.weatherAt(i * slot)));
+  assert.ok(seen.size > 1);
+  seen.forEach(w=>assert.ok(['clear', 'rain', 'sun', 'snow', 'sandstorm', 'fog'].includes(w)));
+});
+
+test('worldWeight: the best matching type and the habitat count for each condition', ()=>{
+  const night = { time: 'night', weather: 'rain' };
+  assert.strictEqual(E.worldWeight(night, ['ghost'], null), 3);
+  assert.strictEqual(E.worldWeight(night, ['ghost', 'water'], null), 3 * 3);
+  assert.strictEqual(E.worldWeight(night, ['normal'], 'cave'), 2);
+  assert.strictEqual(E.worldWeight(night, ['water'], 'sea'), 3 * 2);
+  assert.strictEqual(E.worldWeight({ time: 'day', weather: 'unknown' }, ['ice'], 'sea'), 1);
+});
+
+test('daily challenge: the same date gives the same encounters, and throws never shift them', ()=>{
+  const today = E.dailyEncounters('2024-05-01');
+  assert.strictEqual(today.length, E.DAILY_ENCOUNTERS);
+  assert.deepStrictEqual(E.dailyEncounters('2024-05-01'), today);
+  assert.notDeepStrictEqual(E.dailyEncounters('2024-05-02'), today);
+  const all = E.regionPool(E.REGIONS.map(r=>r.id));
+  today.forEach(roll=>assert.ok(all.includes(roll.id)));
+  // resuming a run picks the shake stream up where it stopped
+  const full = E.dailyThrowRng('2024-05-01');
+  const shakes = Array.from({length:5}, ()=>full.next('shake'));
+  assert.strictEqual(E.dailyThrowRng('2024-05-01', 3).next('shake'), shakes[3]);
+  assert.strictEqual(E.dailyDate(new Date(2024, 0, 9, 23, 30)), '2024-01-09');
+});
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+// build-datapack.js - downloads the PokéAPI data the game uses into one JSON pack.
+// The pack pre-fills the cache in pokedata.js, so the game can run offline, and it is the
+// input of tools/simulate.js. It is not committed: build it where PokéAPI is reachable.
+//
+// usage: node tools/build-datapack.js [--limit 1025] [--out data/pokeapi-pack.json]
+// requires Node 18+ (global fetch)
+
+const fs = require('fs');
+const path = require('path');
+const { API_BASE, cacheKey, slimFor } = require('../pokedata.js');
+
+function arg(name, fallback){
+  const i = process.argv.indexOf(`--${name}`);
+  return i !== -1 && process.argv[i+1] ? process.argv[i+1] : fallback;
+}
+
+const limit = parseInt(arg('limit', '1025'), 10);
+const out = path.resolve(__dirname, '..', arg('out', 'data/pokeapi-pack.json'));
+const CONCURRENCY = 4;
+
+const entries = {};
+
+async function get(url){
+  const key = cacheKey(url);
+  if(entries[key]) return entries[key];
+  for(let attempt=1; ; attempt++){
+    try{
+      const res = await fetch(key);
+      if(!res.ok) throw new Error(`HTTP ${res.status}`);
+      return (entries[key] = slimFor(key, await res.json()));
+    }catch(e){
+      if(attempt >= 3) throw new Error(`${key}: ${e.message}`);
+      await new Promise(r=>setTimeout(r, 500 * attempt));
+    }
+  }
+}
+
+// run `fn` over ids with a small worker pool to stay polite with the API
+async function pool(ids, fn){
+  let next = 0;
+  const worker = async ()=>{ while(next < ids.length){ const id = ids[next++]; await fn(id); } };
+  await Promise.all(Array.from({length:CONCURRENCY}, worker));
+}
+
+async function main(){
+  const types = await get(`${API_BASE}/type`);
+  for(const t of types.results) await get(t.url);
+  const habitats = await get(`${API_BASE}/pokemon-habitat`);
+  for(const h of habitats.results) await get(h.url);
+  let done = 0;
+  await pool(Array.from({length:limit}, (_,i)=>i+1), async id=>{
+    const p = await get(`${API_BASE}/pokemon/${id}`);
+    const species = await get(p.species.url);
+    if(species.evolution_chain) await get(species.evolution_chain.url);
+    if(++done % 50 === 0) console.log(`${done}/${limit}`);
+  });
+  fs.mkdirSync(path.dirname(out), { recursive:true });
+  const generatedAt = (new Date()).toISOString();
+  fs.writeFileSync(out, JSON.stringify({ version: generatedAt, generatedAt, limit, entries }));
+  console.log(`wrote ${Object.keys(entries).length} entries to ${out}`);
+}
+
+main().catch(e=>{ console.error(e.message); process.exit(1); });
@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+// simulate.js - plays the game headless to regression-test balance changes.
+// Runs seeded playthroughs with the rules in engine.js against the local data pack and
+// reports how many encounters, balls and how much play time a complete Pokédex takes.
+// The clock starts at --hour on a fixed UTC day and moves with play time, so time of day and
+// weather reweight the rolls and feed the conditional balls as they do in the game.
+//
+// usage: node tools/simulate.js [--runs 100] [--seed sim] [--regions kanto,johto]
+//          [--strategy candy|new-only] [--buy ultraball|none] [--hour 12] [--react-ms 2000]
+//          [--max-encounters 200000] [--pack data/pokeapi-pack.json] [--json]
+// build the pack first with tools/build-datapack.js
+
+const fs = require('fs');
+const path = require('path');
+const { API_BASE, cacheKey } = require('../pokedata.js');
+const E = require('../engine.js');
+
+function arg(name, fallback){
+  const i = process.argv.indexOf(`--${name}`);
+  return i !== -1 && process.argv[i+1] ? process.argv[i+1] : fallback;
+}
+
+const runs = parseInt(arg('runs', '100'), 10);
+const baseSeed = arg('seed', 'sim');
+const regionIds = arg('regions', E.REGIONS.map(r=>r.id).join(',')).split(',');
+const strategy = arg('strategy', 'candy');
+const buy = arg('buy', 'ultraball');
+const hour = parseInt(arg('hour', '12'), 10);
+const reactMs = parseInt(arg('react-ms', '2000'), 10); // time from appearing to throwing or running
+const START_MS = Date.UTC(2024, 0, 1, hour); // UTC so the weather does not depend on the machine's time zone
+const maxEncounters = parseInt(arg('max-encounters', '200000'), 10);
+const packFile = path.resolve(__dirname, '..', arg('pack', 'data/pokeapi-pack.json'));
+const asJson = process.argv.includes('--json');
+
+// animation lengths in RNG.js: 400ms per shake, then the caught (540ms) or flee (700ms) effect
+const SHAKE_MS = 400, CAUGHT_MS = 540, FLEE_MS = 700;
+
+if(!Number.isInteger(runs) || runs < 1) fail('--runs must be a positive integer');
+if(!Number.isInteger(hour) || hour < 0 || hour > 23) fail('--hour must be 0-23');
+if(!['candy','new-only'].includes(strategy)) fail(`unknown --strategy "${strategy}"`);
+if(buy !== 'none' && !(E.BALLS[buy] && E.BALLS[buy].price)) fail(`--buy: "${buy}" is not sold in the PokéMart`);
+const unknownRegions = regionIds.filter(id=>!E.REGIONS.some(r=>r.id === id));
+if(unknownRegions.length) fail(`unknown region(s): ${unknownRegions.join(', ')}`);
+
+function fail(msg){ console.error(msg); process.exit(1); }
+
+function loadPack(){
+  let pack;
+  try{ pack = JSON.parse(fs.readFileSync(packFile, 'utf8')); }
+  catch(e){ fail(`cannot read ${packFile} (${e.message}); run tools/build-datapack.js first`); }
+  if(!pack || !pack.entries) fail(`${packFile} is not a data pack`);
+  return pack.entries;
+}
+
+// everything a playthrough needs about each species, read once from the pack
+function buildDex(entries, pool){
+  const get = url => entries[cacheKey(url)];
+  const dex = {};
+  const missing = [];
+  pool.forEach(id=>{
+    const p = get(`${API_BASE}/pokemon/${id}`);
+    const s = p && get(p.species.url);
+    if(!p || !s){ missing.push(id); return; }
+    const chain = s.evolution_chain && get(s.evolution_chain.url);
+    const nodes = chain ? E.flattenEvolutionChain(chain.chain) : [];
+    dex[id] = {
+      id, types: p.types.map(t=>t.type.name),
+      capture_rate: Number.isInteger(s.capture_rate) ? s.capture_rate : E.DEFAULT_CAPTURE_RATE,
+      is_legendary: !!s.is_legendary,
+      habitat: s.habitat ? s.habitat.name : null,
+      hasShinySprite: !!(p.sprites && p.sprites.front_shiny),
+      // candy is shared by the family; `evolved` lists the species its candy can buy
+      family: chain ? E.evolutionFamily(chain.chain) : id,
+      evolved: nodes.filter(n=>n.from !== null).map(n=>n.id),
+      // candy evolutions out of this species: [{ id, cost }]
+      evolutions: nodes.filter(n=>n.from === id).map(n=>({ id: n.id, cost: E.evolutionCost(n) }))
+    };
+  });
+  if(missing.length) fail(`the pack has no data for ${missing.length} species in the pool (first: #${missing[0]}); rebuild it with a higher --limit`);
+  const typeRosters = {};
+  const maxId = E.REGIONS[E.REGIONS.length-1].to;
+  E.TYPE_NAMES.forEach(t=>{ const data = get(`${API_BASE}/type/${t}`); if(data) typeRosters[t] = E.typeRoster(data, maxId); });
+  return { dex, typeRosters };
+}
+
+// the ball a careful player would pick: Master Balls only for legendaries, else the best modifier
+function pickBall(state, species, ctx){
+  const owned = E.BALL_CATALOGUE.filter(b=>state.inventory[b.id] === -1 || state.inventory[b.id] > 0);
+  if(species.is_legendary && owned.some(b=>b.id === 'masterball')) return 'masterball';
+  return owned.filter(b=>!b.guaranteed)
+    .reduce((best,b)=>E.ballModifier(b.id, ctx) > E.ballModifier(best, ctx) ? b.id : best, 'pokeball');
+}
+
+// duplicates are only worth a throw while they still have candy to earn
+function wantsThrow(state, species, shiny){
+  const entry = state.pokedex[species.id];
+  if(!entry || !entry.caught || (shiny && !entry.shiny)) return true;
+  return strategy === 'candy' && species.evolved.some(id=>!(state.pokedex[id] && state.pokedex[id].caught));
+}
+
+// engine.js worldAt on the simulated clock
+function clockAt(ms){
+  const date = new Date(START_MS + ms);
+  return { hour: date.getUTCHours(), world: { time: E.timeOfDay(date.getUTCHours()), weather: E.weatherAt(date.getTime()) } };
+}
+
+// encounter weights only change with the world, so keep one array per condition pair
+function weightsFor(world, pool, dex, cache){
+  const key = `${world.time}:${world.weather}`;
+  return cache[key] || (cache[key] = pool.map(id=>E.worldWeight(world, dex[id].types, dex[id].habitat)));
+}
+
+function checkAchievements(state, typeRosters){
+  const s = E.achievementContextFor({ pokedex: state.pokedex, captureCounter: state.captureCounter, bestStreak: state.achievements.bestStreak, typeRosters });
+  E.collectAchievements(state.achievements, s).forEach(({ def })=>E.grantRewardTo(state, def.reward));
+}
+
+function evolveAll(state, dex){
+  let evolved = true;
+  while(evolved){
+    evolved = false;
+    Object.keys(state.pokedex).forEach(fromId=>{
+      (dex[fromId] ? dex[fromId].evolutions : []).forEach(e=>{
+        if(state.pokedex[e.id] && state.pokedex[e.id].caught) return;
+        if(!E.registerEvolution(state, Number(fromId), dex[e.id] || { id: e.id }, e.cost)) return;
+        state.missing.delete(e.id);
+        state.evolutions++;
+        evolved = true;
+      });
+    });
+  }
+}
+
+function shop(state){
+  if(buy === 'none') return;
+  const price = E.BALLS[buy].price;
+  const qty = Math.floor(state.money / price);
+  if(!qty) return;
+  state.money -= qty * price;
+  state.inventory[buy] = (state.inventory[buy] || 0) + qty;
+  state.spent += qty * price;
+}
+
+function playthrough(seed, pool, { dex, typeRosters }){
+  const rng = E.createRng(seed);
+  const state = {
+    pokedex: {}, inventory: { ...E.DEFAULT_INVENTORY }, money: 0, captureCounter: 0, candy: {},
+    achievements: { unlocked:{}, milestones:{}, streak:0, bestStreak:0 },
+    missing: new Set(pool), encounters: 0, thrown: {}, shinies: 0, evolutions: 0, spent: 0, ms: 0
+  };
+  const weightCache = {};
+  while(state.missing.size && state.encounters < maxEncounters){
+    const clock = clockAt(state.ms);
+    // the engine's roll order: species, then shiny; catch checks follow in resolveCapture
+    const roll = E.rollEncounterFor(rng, { pool, weights: weightsFor(clock.world, pool, dex, weightCache) });
+    const species = dex[roll.id];
+    const shiny = roll.isShinyRoll && species.hasShinySprite;
+    state.encounters++;
+    state.ms += reactMs;
+    if(!wantsThrow(state, species, shiny)) continue;
+    const encounter = { ...species, shiny };
+    const ctx = { elapsedMs: reactMs, hour: clock.hour, types: species.types, weather: clock.world.weather, habitat: species.habitat };
+    const ball = pickBall(state, species, ctx);
+    const owned = state.pokedex[species.id] && state.pokedex[species.id].caught;
+    const result = E.resolveCapture(E.captureParamsFor({ encounter, ball, ctx, owned }), ()=>rng.next('shake'));
+    state.thrown[ball] = (state.thrown[ball] || 0) + 1;
+    if(state.inventory[ball] !== -1) state.inventory[ball]--;
+    E.trackStreak(state.achievements, result.caught);
+    state.ms += (Math.min(result.shakes, 3) + 1) * SHAKE_MS + (result.caught ? CAUGHT_MS : FLEE_MS);
+    if(!result.caught) continue;
+    E.registerCapture(state, encounter);
+    state.missing.delete(species.id);
+    if(shiny) state.shinies++;
+    evolveAll(state, dex);
+    checkAchievements(state, typeRosters);
+    shop(state);
+  }
+  return {
+    seed, complete: !state.missing.size, encounters: state.encounters, minutes: state.ms / 60000,
+    thrown: state.thrown, shinies: state.shinies, evolutions: state.evolutions, spent: state.spent
+  };
+}
+
+function summarize(values){
+  const sorted = values.slice().sort((a,b)=>a-b);
+  const at = q => sorted[Math.min(sorted.length-1, Math.floor(q * sorted.length))];
+  const round = n => Math.round(n * 10) / 10;
+  return { min: round(sorted[0]), p10: round(at(0.1)), p50: round(at(0.5)), p90: round(at(0.9)), max: round(sorted[sorted.length-1]),
+    mean: round(values.reduce((a,b)=>a+b, 0) / values.length) };
+}
+
+function main(){
+  const pool = E.regionPool(regionIds);
+  const data = buildDex(loadPack(), pool);
+  const results = Array.from({length:runs}, (_,i)=>playthrough(`${baseSeed}-${i}`, pool, data));
+  const balls = E.BALL_CATALOGUE.map(b=>b.id).filter(id=>results.some(r=>r.thrown[id]));
+  const report = {
+    runs, seed: baseSeed, regions: regionIds, species: pool.length, strategy, buy, hour, reactMs,
+    unfinished: results.filter(r=>!r.complete).map(r=>r.seed),
+    encounters: summarize(results.map(r=>r.encounters)),
+    minutes: summarize(results.map(r=>r.minutes)),
+    balls: Object.fromEntries(balls.map(id=>[id, summarize(results.map(r=>r.thrown[id] || 0))])),
+    shinies: summarize(results.map(r=>r.shinies)),
+    evolutions: summarize(results.map(r=>r.evolutions)),
+    spent: summarize(results.map(r=>r.spent)),
+  };
+  if(asJson){ console.log(JSON.stringify(report, null, 2)); return; }
+  const row = (label, s) => console.log(`${label.padEnd(14)}${['min','p10','p50','p90','max','mean'].map(k=>String(s[k]).padStart(10)).join('')}`);
+  console.log(`${runs} runs • ${pool.length} species (${regionIds.join(', ')}) • strategy ${strategy} • buy ${buy} • hour ${hour} • seed ${baseSeed}`);
+  console.log(`${''.padEnd(14)}${['min','p10','p50','p90','max','mean'].map(k=>k.padStart(10)).join('')}`);
+  row('encounters', report.encounters);
+  row('minutes', report.minutes);
+  Object.entries(report.balls).forEach(([id,s])=>row(id, s));
+  row('shinies', report.shinies);
+  row('evolutions', report.evolutions);
+  row('₽ spent', report.spent);
+  if(report.unfinished.length) console.log(`${report.unfinished.length} run(s) hit --max-encounters ${maxEncounters} before completing: ${report.unfinished.slice(0,5).join(', ')}${report.unfinished.length > 5 ? ', …' : ''}`);
+}
+
+main();